@@ -1,7 +1,45 @@
 const logger = require("../utils/logger");
 const jwt = require("jsonwebtoken");
+const Redis = require("ioredis");
+const { getPublicKey } = require("../utils/jwks");
 
-const validateToken = (req, res, next) => {
+const redisClient = new Redis(process.env.REDIS_URL);
+
+// identity-service pushes revocations here, see its tokenRevocation util.
+// Resolves to the reason the token was revoked, or null
+const getRevocationReason = async (user) => {
+  const [sessionRevoked, tokenRevoked, minVersion] = await redisClient.mget(
+    `revoked:sid:${user.sid}`,
+    `revoked:jti:${user.jti}`,
+    `token-version:${user.userId}`
+  );
+  if (user.sid && sessionRevoked) {
+    return "Session has been revoked, please log in again";
+  }
+  if (user.jti && tokenRevoked) {
+    return "Token has been revoked, please log in again";
+  }
+  if (minVersion && (user.ver || 0) < Number(minVersion)) {
+    return "Token has been revoked, please log in again";
+  }
+  return null;
+};
+
+const invalidToken = (res, message) =>
+  res.status(401).json({
+    success: false,
+    message,
+  });
+
+const unavailable = (res) =>
+  res.status(503).json({
+    success: false,
+    message: "Unable to validate token, please try again later",
+  });
+
+// tokens are signed by identity-service with RS256, the key is picked by the
+// kid in the token header from its JWKS
+const validateToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
@@ -13,26 +51,50 @@ const validateToken = (req, res, next) => {
     });
   }
 
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header.kid) {
+    logger.warn("Access attempt with a malformed token");
+    return invalidToken(res, "Invalid token");
+  }
+
+  let publicKey;
   try {
-    jwt.verify(token, process.env.JWT_SECRET_KEY, (err, user) => {
-      if (err) {
-        logger.error("Token validation failed", err);
-        return res.status(429).json({
-          success: false,
-          message: "Invalid token",
-        });
-      }
-
-      req.user = user;
-      next();
-    });
+    publicKey = await getPublicKey(decoded.header.kid);
   } catch (error) {
-    logger.error("Token validation failed", error);
-    return res.status(429).json({
-      success: false,
-      message: "Invalid token",
-    });
+    logger.error("Fetching JWT verification keys failed", error);
+    return unavailable(res);
+  }
+  if (!publicKey) {
+    logger.warn(
+      `Access attempt with unknown signing key ${decoded.header.kid}`
+    );
+    return invalidToken(res, "Invalid token");
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, publicKey, { algorithms: ["RS256"] });
+  } catch (err) {
+    logger.warn("Token validation failed", err.message);
+    return invalidToken(
+      res,
+      err.name === "TokenExpiredError" ? "Token expired" : "Invalid token"
+    );
   }
+
+  try {
+    const reason = await getRevocationReason(user);
+    if (reason) {
+      logger.warn(`Access attempt with revoked token of user ${user.userId}`);
+      return invalidToken(res, reason);
+    }
+  } catch (error) {
+    logger.error("Token revocation check failed", error);
+    return unavailable(res);
+  }
+
+  req.user = user;
+  next();
 };
 
 module.exports = {
@@ -1,4 +1,6 @@
 const dotenv = require("dotenv");
+dotenv.config();
+
 const express = require("express");
 const app = express();
 const logger = require("./utils/logger");
@@ -14,7 +16,6 @@ const {
 } = require("../../identity-service/src/middleware/errorhandler");
 const { validateToken } = require("./middleware/authMiddleware");
 
-dotenv.config();
 const port = process.env.PORT || 3000;
 // Define service URLs with defaults
 const IDENTITY_SERVICE_URL =
@@ -25,7 +26,19 @@ const redisClient = new Redis(process.env.REDIS_URL);
 // ** Middleware
 app.use(express.json());
 app.use(helmet());
-app.use(cors());
+app.use(
+  cors({
+    // read by tus clients for resumable uploads
+    exposedHeaders: [
+      "Location",
+      "Tus-Resumable",
+      "Tus-Version",
+      "Upload-Offset",
+      "Upload-Length",
+      "Upload-Expires",
+    ],
+  })
+);
 
 // Rate Limiter
 const rateLimiter = rateLimit({
@@ -53,6 +66,24 @@ app.use((req, res, next) => {
   next();
 });
 
+// identity of the caller for the internal services, taken from the verified token
+const setUserHeaders = (headers, user) => {
+  headers["x-user-id"] = user.userId;
+  headers["x-user-role"] = user.role || "user";
+  headers["x-user-email-verified"] = String(Boolean(user.emailVerified));
+  if (user.sid) {
+    headers["x-session-id"] = user.sid;
+  }
+};
+
+// routes without a token must not pass on identity headers the client made up
+const clearUserHeaders = (headers) => {
+  delete headers["x-user-id"];
+  delete headers["x-user-role"];
+  delete headers["x-user-email-verified"];
+  delete headers["x-session-id"];
+};
+
 // Proxy Requests
 const proxyOptions = {
   proxyReqPathResolver: (req) => {
@@ -77,6 +108,89 @@ app.use(
     ...proxyOptions,
     proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
       proxyReqOpts.headers["Content-Type"] = "application/json";
+      clearUserHeaders(proxyReqOpts.headers);
+      // identity-service rate limits and audits logins per client IP
+      proxyReqOpts.headers["x-forwarded-for"] = srcReq.headers[
+        "x-forwarded-for"
+      ]
+        ? `${srcReq.headers["x-forwarded-for"]}, ${srcReq.ip}`
+        : srcReq.ip;
+      return proxyReqOpts;
+    },
+    userResDecorator: (proxyRes, proxyResData, userReq, userRes) => {
+      logger.info(
+        "Proxy response from identity service: ",
+        proxyRes.statusCode
+      );
+      return proxyResData;
+    },
+  })
+);
+
+// public keys access tokens are signed with
+app.use(
+  "/.well-known/jwks.json",
+  proxy(IDENTITY_SERVICE_URL, {
+    ...proxyOptions,
+    proxyReqOptDecorator: (proxyReqOpts) => {
+      clearUserHeaders(proxyReqOpts.headers);
+      return proxyReqOpts;
+    },
+  })
+);
+
+// setting up proxy for the signed in part of our identity service
+app.use(
+  "/v1/account",
+  validateToken,
+  proxy(IDENTITY_SERVICE_URL, {
+    ...proxyOptions,
+    proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
+      proxyReqOpts.headers["Content-Type"] = "application/json";
+      setUserHeaders(proxyReqOpts.headers, srcReq.user);
+      return proxyReqOpts;
+    },
+    userResDecorator: (proxyRes, proxyResData, userReq, userRes) => {
+      logger.info(
+        "Proxy response from identity service: ",
+        proxyRes.statusCode
+      );
+      return proxyResData;
+    },
+  })
+);
+
+// setting up proxy for user profiles, served by our identity service
+app.use(
+  "/v1/users",
+  validateToken,
+  proxy(IDENTITY_SERVICE_URL, {
+    ...proxyOptions,
+    proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
+      proxyReqOpts.headers["Content-Type"] = "application/json";
+      setUserHeaders(proxyReqOpts.headers, srcReq.user);
+      return proxyReqOpts;
+    },
+    userResDecorator: (proxyRes, proxyResData, userReq, userRes) => {
+      logger.info(
+        "Proxy response from identity service: ",
+        proxyRes.statusCode
+      );
+      return proxyResData;
+    },
+  })
+);
+
+// setting up proxy for the admin endpoints of our identity service, the
+// identity service checks the role
+app.use(
+  "/v1/admin",
+  validateToken,
+  proxy(IDENTITY_SERVICE_URL, {
+    ...proxyOptions,
+    proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
+      proxyReqOpts.headers["Content-Type"] = "application/json";
+      setUserHeaders(proxyReqOpts.headers, srcReq.user);
       return proxyReqOpts;
     },
     userResDecorator: (proxyRes, proxyResData, userReq, userRes) => {
@@ -97,7 +211,7 @@ app.use(
     ...proxyOptions,
     proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
       proxyReqOpts.headers["Content-Type"] = "application/json";
-      proxyReqOpts.headers["x-user-id"] = srcReq.user.userId;
+      setUserHeaders(proxyReqOpts.headers, srcReq.user);
       return proxyReqOpts;
     },
     userResDecorator: (proxyRes, proxyResData, userReq, userRes) => {
@@ -107,6 +221,23 @@ app.use(
   })
 );
 
+// files of the media service's local disk storage, public like any CDN URL
+// so <img> tags work without a token. Has to come before /v1/media
+app.use(
+  "/v1/media/files",
+  proxy(process.env.MEDIA_SERVICE_URL, {
+    ...proxyOptions,
+    proxyReqOptDecorator: (proxyReqOpts) => {
+      clearUserHeaders(proxyReqOpts.headers);
+      return proxyReqOpts;
+    },
+    userResDecorator: (proxyRes, proxyResData, userReq, userRes) => {
+      logger.info("Proxy response from media service: ", proxyRes.statusCode);
+      return proxyResData;
+    },
+  })
+);
+
 // setting up proxy for our media service
 app.use(
   "/v1/media",
@@ -116,12 +247,18 @@ app.use(
     proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
       proxyReqOpts.headers = proxyReqOpts.headers || {};
       if (srcReq.user && srcReq.user.userId) {
-        proxyReqOpts.headers["x-user-id"] = srcReq.user.userId;
+        setUserHeaders(proxyReqOpts.headers, srcReq.user);
       }
 
-      // Handle Content-Type
+      // Handle Content-Type, uploads keep theirs
       const contentType = srcReq.headers["content-type"];
-      if (!contentType || !contentType.startsWith("multipart/form-data")) {
+      if (
+        !contentType ||
+        !(
+          contentType.startsWith("multipart/form-data") ||
+          contentType === "application/offset+octet-stream"
+        )
+      ) {
         proxyReqOpts.headers["Content-Type"] = "application/json";
       }
 
@@ -131,6 +268,13 @@ app.use(
       logger.info("Proxy response from media service: ", proxyRes.statusCode);
       return proxyResData;
     },
+    // resumable uploads point at their /api/... URL in the media service
+    userResHeaderDecorator: (headers) => {
+      if (headers.location) {
+        headers.location = headers.location.replace(/^\/api(?=\/)/, "/v1");
+      }
+      return headers;
+    },
     parseReqBody: false, // Keep this to allow streaming for uploads
   })
 );
@@ -143,7 +287,7 @@ app.use(
     ...proxyOptions,
     proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
       proxyReqOpts.headers["Content-Type"] = "application/json";
-      proxyReqOpts.headers["x-user-id"] = srcReq.user.userId;
+      setUserHeaders(proxyReqOpts.headers, srcReq.user);
       return proxyReqOpts;
     },
     userResDecorator: (proxyRes, proxyResData, userReq, userRes) => {
@@ -153,6 +297,24 @@ app.use(
   })
 );
 
+// setting up proxy for our social service
+app.use(
+  "/v1/social",
+  validateToken,
+  proxy(process.env.SOCIAL_SERVICE_URL, {
+    ...proxyOptions,
+    proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
+      proxyReqOpts.headers["Content-Type"] = "application/json";
+      setUserHeaders(proxyReqOpts.headers, srcReq.user);
+      return proxyReqOpts;
+    },
+    userResDecorator: (proxyRes, proxyResData, userReq, userRes) => {
+      logger.info("Proxy response from social service: ", proxyRes.statusCode);
+      return proxyResData;
+    },
+  })
+);
+
 app.use(errorHandler);
 app.use(notFoundHandler);
 
@@ -163,4 +325,5 @@ app.listen(port, () => {
   logger.info(`Post Service is running on ${process.env.POST_SERVICE_URL}`);
   logger.info(`Media Service is running on ${process.env.MEDIA_SERVICE_URL}`);
   logger.info(`Search Service is running on ${process.env.SEARCH_SERVICE_URL}`);
+  logger.info(`Social Service is running on ${process.env.SOCIAL_SERVICE_URL}`);
 });
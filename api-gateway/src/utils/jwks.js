@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const logger = require("./logger");
+
+const JWKS_URL =
+  process.env.JWKS_URL ||
+  `${process.env.IDENTITY_SERVICE_URL || "http://localhost:3001"}/.well-known/jwks.json`;
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+// refetch for an expired cache, or for the same unknown kid, at most this often
+const JWKS_MIN_REFETCH_MS = 30 * 1000;
+// tokens with made-up kids must not grow the throttle map forever
+const MAX_TRACKED_KIDS = 1000;
+
+let keysByKid = new Map();
+let fetchedAt = 0;
+let attemptedAt = 0;
+let pendingFetch = null;
+const kidAttemptedAt = new Map();
+
+const fetchKeys = async () => {
+  attemptedAt = Date.now();
+  const response = await fetch(JWKS_URL);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+  const { keys } = await response.json();
+
+  keysByKid = new Map(
+    keys
+      .filter((jwk) => jwk.kid && jwk.use !== "enc")
+      .map((jwk) => [
+        jwk.kid,
+        crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      ])
+  );
+  fetchedAt = Date.now();
+  logger.info(`Fetched ${keysByKid.size} JWT verification keys`);
+};
+
+// concurrent requests share one fetch
+const refreshKeys = () => {
+  if (!pendingFetch) {
+    pendingFetch = fetchKeys().finally(() => {
+      pendingFetch = null;
+    });
+  }
+  return pendingFetch;
+};
+
+// public key for the kid in a token header, null when identity-service
+// doesn't publish it (anymore)
+const getPublicKey = async (kid) => {
+  const now = Date.now();
+  let refetch =
+    now - fetchedAt > JWKS_CACHE_TTL_MS &&
+    now - attemptedAt > JWKS_MIN_REFETCH_MS;
+
+  // an unknown kid is probably a freshly rotated key, fetch right away the
+  // first time it shows up and throttle only repeats of the same kid
+  if (
+    !keysByKid.has(kid) &&
+    now - (kidAttemptedAt.get(kid) || 0) > JWKS_MIN_REFETCH_MS
+  ) {
+    if (kidAttemptedAt.size >= MAX_TRACKED_KIDS) {
+      kidAttemptedAt.clear();
+    }
+    kidAttemptedAt.set(kid, now);
+    refetch = true;
+  }
+
+  if (refetch) {
+    try {
+      await refreshKeys();
+    } catch (error) {
+      // keep verifying with the keys we have while identity-service is down
+      if (!keysByKid.size) {
+        throw error;
+      }
+      logger.error("Failed to refresh JWT verification keys", error);
+    }
+  }
+  if (!keysByKid.size) {
+    throw new Error("No JWT verification keys available");
+  }
+  return keysByKid.get(kid) || null;
+};
+
+module.exports = {
+  getPublicKey,
+};
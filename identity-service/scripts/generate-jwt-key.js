@@ -0,0 +1,26 @@
+// Writes a new RSA signing key to JWT_KEYS_DIR (default ./keys) and prints
+// its kid. Usage: node scripts/generate-jwt-key.js [kid]
+require("dotenv").config();
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const keysDir = path.resolve(process.env.JWT_KEYS_DIR || "keys");
+// date first, so the newest key is also the last one in name order
+const kid =
+  process.argv[2] ||
+  `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString("hex")}`;
+
+const { privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  publicKeyEncoding: { type: "spki", format: "pem" },
+});
+
+fs.mkdirSync(keysDir, { recursive: true });
+const file = path.join(keysDir, `${kid}.pem`);
+fs.writeFileSync(file, privateKey, { mode: 0o600, flag: "wx" });
+
+console.log(`Wrote ${file}`);
+console.log(kid);
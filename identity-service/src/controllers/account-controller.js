@@ -0,0 +1,121 @@
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { validationChangePassword } = require("../utils/validation");
+const {
+  revokeAllSessions,
+  listSessions,
+  revokeUserSession,
+} = require("../utils/sessions");
+const { sendPasswordChangedEmail } = require("../utils/emails");
+
+// change password for the signed in user, signs them out everywhere
+const changePassword = async (req, res) => {
+  logger.info("Change password initiated...");
+  try {
+    const { error } = validationChangePassword(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user);
+    if (!user) {
+      logger.warn("User not found");
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      logger.warn("Invalid current password");
+      return res
+        .status(400)
+        .json({ success: false, message: "Current password is incorrect" });
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (err) {
+      logger.error("Error sending password changed email : ", err);
+    }
+
+    logger.info("Password changed successfully", user._id);
+    res.json({
+      success: true,
+      message: "Password changed successfully, please log in again",
+    });
+  } catch (err) {
+    logger.error("Error changing password : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// devices the user is signed in on
+const getSessions = async (req, res) => {
+  logger.info("Fetching sessions...");
+  try {
+    const sessions = await listSessions(req.user);
+    res.json({
+      success: true,
+      message: "Sessions fetched successfully",
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (err) {
+    logger.error("Error fetching sessions : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// signs one device out
+const revokeSession = async (req, res) => {
+  logger.info("Revoke session initiated...");
+  try {
+    const revoked = await revokeUserSession(req.user, req.params.sessionId);
+    if (!revoked) {
+      logger.warn("Session not found");
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+
+    logger.info("Session revoked successfully", req.params.sessionId);
+    res.json({ success: true, message: "Session revoked successfully" });
+  } catch (err) {
+    logger.error("Error revoking session : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// signs every device out, including the current one
+const logoutAllSessions = async (req, res) => {
+  logger.info("Logout everywhere initiated...");
+  try {
+    await revokeAllSessions(req.user);
+    logger.info("Logged out of all sessions", req.user);
+    res.json({
+      success: true,
+      message: "Logged out of all sessions successfully",
+    });
+  } catch (err) {
+    logger.error("Error logging out of all sessions : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  changePassword,
+  getSessions,
+  revokeSession,
+  logoutAllSessions,
+};
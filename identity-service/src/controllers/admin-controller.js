@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { validationBanUser } = require("../utils/validation");
+const { revokeAllSessions } = require("../utils/sessions");
+
+const findTargetUser = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) {
+    res.status(400).json({ success: false, message: "Invalid user id" });
+    return null;
+  }
+  const user = await User.findById(userId);
+  if (!user) {
+    logger.warn("User not found");
+    res.status(404).json({ success: false, message: "User not found" });
+    return null;
+  }
+  return user;
+};
+
+// suspends an account and signs it out everywhere right away
+const banUser = async (req, res) => {
+  logger.info("Ban user initiated...");
+  try {
+    const { error } = validationBanUser(req.body || {});
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    if (req.params.userId === req.user) {
+      return res
+        .status(400)
+        .json({ success: false, message: "You can't ban yourself" });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.banned = true;
+    user.bannedAt = new Date();
+    user.banReason = req.body?.reason;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    logger.info(`User ${user._id} banned by ${req.user}`);
+    res.json({ success: true, message: "User banned successfully" });
+  } catch (err) {
+    logger.error("Error banning user : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+const unbanUser = async (req, res) => {
+  logger.info("Unban user initiated...");
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    user.banned = false;
+    user.bannedAt = undefined;
+    user.banReason = undefined;
+    await user.save();
+
+    logger.info(`User ${user._id} unbanned by ${req.user}`);
+    res.json({ success: true, message: "User unbanned successfully" });
+  } catch (err) {
+    logger.error("Error unbanning user : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  banUser,
+  unbanUser,
+};
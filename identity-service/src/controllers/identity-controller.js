@@ -1,3 +1,5 @@
+const Redis = require("ioredis");
+const { RateLimiterRedis } = require("rate-limiter-flexible");
 const User = require("../models/User");
 const jwt = require("jsonwebtoken");
 const logger = require("../utils/logger");
@@ -6,8 +8,100 @@ const {
   validationRegistration,
   validationLogin,
   validationRefreshToken,
+  validationVerifyEmail,
+  validationResendVerification,
+  validationForgotPassword,
+  validationResetPassword,
+  validationLoginTwoFactor,
 } = require("../utils/validation");
 const generateTokens = require("../utils/generateToken");
+const {
+  createUserToken,
+  findUserToken,
+  consumeUserToken,
+} = require("../utils/userTokens");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+} = require("../utils/emails");
+const {
+  revokeAllSessions,
+  revokeFamily,
+  rotateRefreshToken,
+} = require("../utils/sessions");
+const { getSessionMetadata } = require("../utils/device");
+const { hashToken } = require("../utils/userTokens");
+const { revokeAccessToken } = require("../utils/tokenRevocation");
+const { publishUserEvent } = require("../utils/profile");
+const {
+  LOGIN_CHALLENGE_TTL_MS,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const {
+  getLoginLock,
+  registerLoginFailure,
+  clearLoginFailures,
+  recordFailedLogin,
+  verifyDummyPassword,
+  sleep,
+} = require("../utils/loginProtection");
+
+const redisClient = new Redis(process.env.REDIS_URL);
+
+const EMAIL_VERIFICATION_TTL_MS =
+  (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// resending verification emails is limited per address, on top of the IP
+// based limits in server.js
+const resendVerificationLimiter = new RateLimiterRedis({
+  storeClient: redisClient,
+  keyPrefix: "resend_verification",
+  points: 3,
+  duration: 60 * 60,
+});
+
+const forgotPasswordLimiter = new RateLimiterRedis({
+  storeClient: redisClient,
+  keyPrefix: "forgot_password",
+  points: 3,
+  duration: 60 * 60,
+});
+
+// consumes a point for key, answers with 429 and returns true when the
+// limit is exhausted
+const rejectIfRateLimited = async (limiter, key, res, message) => {
+  try {
+    await limiter.consume(key);
+    return false;
+  } catch (rateLimiterRes) {
+    if (rateLimiterRes instanceof Error) {
+      throw rateLimiterRes;
+    }
+    const retryAfter = Math.ceil(rateLimiterRes.msBeforeNext / 1000);
+    logger.warn(`Rate limit exceeded for ${limiter.keyPrefix} : `, key);
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ success: false, message, retryAfter });
+    return true;
+  }
+};
+
+// a failing mail server must not fail the request that triggered the email
+const issueVerificationEmail = async (user) => {
+  try {
+    const token = await createUserToken(
+      user,
+      "email-verification",
+      EMAIL_VERIFICATION_TTL_MS
+    );
+    await sendVerificationEmail(user, token);
+    logger.info("Verification email sent", user._id);
+  } catch (err) {
+    logger.error("Error sending verification email : ", err);
+  }
+};
 
 // user registration
 const registerUser = async (req, res) => {
@@ -33,7 +127,12 @@ const registerUser = async (req, res) => {
     user = await User({ username, password, email });
     await user.save();
     logger.info("User registered successfully", user._id);
-    const { accessToken, refreshToken } = await generateTokens(user);
+    await publishUserEvent("user.created", user);
+    await issueVerificationEmail(user);
+    const { accessToken, refreshToken } = await generateTokens(
+      user,
+      getSessionMetadata(req)
+    );
 
     res.status(201).json({
       success: true,
@@ -48,6 +147,30 @@ const registerUser = async (req, res) => {
   }
 };
 
+const sendLockedOut = (res, lock) => {
+  res.set("Retry-After", String(lock.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: "Too many failed login attempts, please try again later",
+    lockedUntil: lock.lockedUntil,
+    retryAfter: lock.retryAfter,
+  });
+};
+
+const sendLoginTokens = async (req, res, user) => {
+  const { accessToken, refreshToken } = await generateTokens(
+    user,
+    getSessionMetadata(req)
+  );
+  return res.status(200).json({
+    success: true,
+    message: "User logged in successfully",
+    userId: user._id,
+    accessToken,
+    refreshToken,
+  });
+};
+
 // user login
 const loginUser = async (req, res) => {
   logger.info("Login user initiated...");
@@ -60,38 +183,153 @@ const loginUser = async (req, res) => {
         .json({ success: false, message: error.details[0].message });
     }
 
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = req.body.email.toLowerCase();
 
-    const user = await User.findOne({ $or: [{ email }] });
-    if (!user) {
-      logger.warn("User not found");
-      return res
-        .status(400)
-        .json({ success: false, message: "User not found" });
+    const lock = await getLoginLock(email, req.ip);
+    if (lock) {
+      logger.warn("Login attempt while locked out : ", email);
+      await recordFailedLogin({ email, req, reason: "locked" });
+      return sendLockedOut(res, lock);
     }
 
-    const isPasswordValid = await user.comparePassword(password);
+    // the same message and (roughly) the same response time whether the
+    // account doesn't exist or the password is wrong
+    const user = await User.findOne({ email });
+    const isPasswordValid = user
+      ? await user.comparePassword(password)
+      : await verifyDummyPassword(password);
+
     if (!isPasswordValid) {
-      logger.warn("Invalid password");
+      logger.warn(user ? "Invalid password" : "User not found");
+      await recordFailedLogin({
+        email,
+        user,
+        req,
+        reason: user ? "invalid-password" : "unknown-user",
+      });
+
+      const failure = await registerLoginFailure(email, req.ip);
+      if (failure.lock) {
+        return sendLockedOut(res, failure.lock);
+      }
+      await sleep(failure.delayMs);
       return res
         .status(400)
-        .json({ success: false, message: "Invalid password" });
+        .json({ success: false, message: "Invalid email or password" });
     }
 
-    const { accessToken, refreshToken } = await generateTokens(user);
-    res.status(200).json({
-      success: true,
-      message: "User logged in successfully",
-      userId: user._id,
-      accessToken,
-      refreshToken,
-    });
+    if (user.banned) {
+      logger.warn("Login attempt by banned user : ", user._id);
+      return res
+        .status(403)
+        .json({ success: false, message: "This account has been suspended" });
+    }
+
+    // the password alone is not enough, the client exchanges the challenge
+    // token and a code at /login/2fa. Failed codes count as failed logins,
+    // so the account counter is only cleared once both steps passed
+    if (user.twoFactorEnabled) {
+      const challengeToken = await createUserToken(
+        user,
+        "login-challenge",
+        LOGIN_CHALLENGE_TTL_MS
+      );
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: LOGIN_CHALLENGE_TTL_MS / 1000,
+      });
+    }
+
+    await clearLoginFailures(email);
+    await sendLoginTokens(req, res, user);
   } catch (err) {
     logger.error("Error logging in user : ", err);
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
 };
 
+// second login step for accounts with two-factor authentication
+const loginTwoFactor = async (req, res) => {
+  logger.info("Two-factor login initiated...");
+  try {
+    const { error } = validationLoginTwoFactor(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = await findUserToken(challengeToken, "login-challenge");
+    const user =
+      challenge &&
+      (await User.findById(challenge.user).select("+twoFactorSecret"));
+    if (!user) {
+      logger.warn("Invalid or expired login challenge");
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired login challenge, please log in again",
+      });
+    }
+
+    const lock = await getLoginLock(user.email, req.ip);
+    if (lock) {
+      logger.warn("Two-factor login attempt while locked out : ", user.email);
+      await recordFailedLogin({
+        email: user.email,
+        user,
+        req,
+        reason: "locked",
+      });
+      return sendLockedOut(res, lock);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      logger.warn("Invalid two-factor code");
+      await recordFailedLogin({
+        email: user.email,
+        user,
+        req,
+        reason: "invalid-two-factor-code",
+      });
+
+      const failure = await registerLoginFailure(user.email, req.ip);
+      if (failure.lock) {
+        return sendLockedOut(res, failure.lock);
+      }
+      await sleep(failure.delayMs);
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid two-factor code" });
+    }
+
+    // a challenge can only be redeemed once
+    if (!(await consumeUserToken(challengeToken, "login-challenge"))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired login challenge, please log in again",
+      });
+    }
+    if (user.banned) {
+      logger.warn("Login attempt by banned user : ", user._id);
+      return res
+        .status(403)
+        .json({ success: false, message: "This account has been suspended" });
+    }
+
+    await clearLoginFailures(user.email);
+    await sendLoginTokens(req, res, user);
+  } catch (err) {
+    logger.error("Error completing two-factor login : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
 //refresh token
 const refreshTokenController = async (req, res) => {
   logger.info("Refresh token initiated...");
@@ -111,14 +349,21 @@ const refreshTokenController = async (req, res) => {
         .json({ success: false, message: "Refresh token not found" });
     }
 
-    const storeToken = await RefreshToken.findOne({ token: refreshToken });
-    if (!storeToken || storeToken.expiresAt < Date.now()) {
+    const rotation = await rotateRefreshToken(refreshToken);
+    if (rotation.status === "reused") {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token has already been used, please log in again",
+      });
+    }
+    if (rotation.status !== "valid") {
       logger.warn("Invalid or expired refresh token");
       return res
         .status(400)
         .json({ success: false, message: "Invalid or expired refresh token" });
     }
 
+    const storeToken = rotation.token;
     const user = await User.findById(storeToken.user);
     if (!user) {
       logger.warn("User not found");
@@ -126,11 +371,21 @@ const refreshTokenController = async (req, res) => {
         .status(400)
         .json({ success: false, message: "User not found" });
     }
+    if (user.banned) {
+      logger.warn("Refresh attempt by banned user : ", user._id);
+      return res
+        .status(403)
+        .json({ success: false, message: "This account has been suspended" });
+    }
 
+    // the new token stays in the same family, with the latest client details
     const { accessToken: newAccessToken, refreshToken: newRefreshToken } =
-      await generateTokens(user);
+      await generateTokens(user, {
+        ...getSessionMetadata(req),
+        family: storeToken.family,
+        familyCreatedAt: storeToken.familyCreatedAt,
+      });
 
-    await RefreshToken.deleteOne({ _id: storeToken._id });
     res.json({
       success: true,
       message: "Token refreshed successfully",
@@ -155,8 +410,21 @@ const logoutController = async (req, res) => {
         .json({ success: false, message: "Refresh token not found" });
     }
 
-    await RefreshToken.deleteOne({ token: refreshToken });
-    logger.info("Refresh token deleted successfully");
+    // logging out ends the whole session this token belongs to
+    const storeToken = await RefreshToken.findOne({
+      token: hashToken(refreshToken),
+    });
+    if (storeToken) {
+      await revokeFamily(storeToken.family);
+    }
+
+    // the access token sent along, if any, stops working right away too
+    const authHeader = req.headers["authorization"];
+    const accessToken = authHeader && authHeader.split(" ")[1];
+    if (accessToken) {
+      await revokeAccessToken(accessToken);
+    }
+    logger.info("Refresh token revoked successfully");
     res.json({
       success: true,
       message: "Logged out successfully",
@@ -167,9 +435,209 @@ const logoutController = async (req, res) => {
   }
 };
 
+// email verification, the token comes from the link in the email (query)
+// or from a client that posts it (body)
+const verifyEmail = async (req, res) => {
+  logger.info("Email verification initiated...");
+  try {
+    const payload = { token: req.query.token || req.body?.token };
+    const { error } = validationVerifyEmail(payload);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const userToken = await consumeUserToken(
+      payload.token,
+      "email-verification"
+    );
+    if (!userToken) {
+      logger.warn("Invalid or expired verification token");
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userToken.user,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) {
+      logger.warn("User not found");
+      return res
+        .status(400)
+        .json({ success: false, message: "User not found" });
+    }
+
+    logger.info("Email verified successfully", user._id);
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (err) {
+    logger.error("Error verifying email : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// resend verification email. The response is the same whether or not the
+// address is registered, so it can't be used to discover accounts
+const resendVerificationEmail = async (req, res) => {
+  logger.info("Resend verification email initiated...");
+  try {
+    const { error } = validationResendVerification(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const limited = await rejectIfRateLimited(
+      resendVerificationLimiter,
+      email,
+      res,
+      "Too many verification emails requested, please try later"
+    );
+    if (limited) {
+      return;
+    }
+
+    const user = await User.findOne({ email });
+    if (user && !user.emailVerified) {
+      await issueVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an unverified account exists for this email, a verification email has been sent",
+    });
+  } catch (err) {
+    logger.error("Error resending verification email : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// forgot password. Like the resend endpoint, the answer never reveals whether
+// the email belongs to an account
+const forgotPassword = async (req, res) => {
+  logger.info("Forgot password initiated...");
+  try {
+    const { error } = validationForgotPassword(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const limited = await rejectIfRateLimited(
+      forgotPasswordLimiter,
+      email,
+      res,
+      "Too many password reset requests, please try later"
+    );
+    if (limited) {
+      return;
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      try {
+        const token = await createUserToken(
+          user,
+          "password-reset",
+          PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+        );
+        await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+        logger.info("Password reset email sent", user._id);
+      } catch (err) {
+        logger.error("Error sending password reset email : ", err);
+      }
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (err) {
+    logger.error("Error requesting password reset : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// reset password with the emailed token, signs the user out everywhere
+const resetPassword = async (req, res) => {
+  logger.info("Reset password initiated...");
+  try {
+    const { error } = validationResetPassword(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const { token, password } = req.body;
+    const userToken = await consumeUserToken(token, "password-reset");
+    if (!userToken) {
+      logger.warn("Invalid or expired password reset token");
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired password reset token",
+      });
+    }
+
+    const user = await User.findById(userToken.user);
+    if (!user) {
+      logger.warn("User not found");
+      return res
+        .status(400)
+        .json({ success: false, message: "User not found" });
+    }
+
+    user.password = password;
+    // the reset link was delivered to this address, so it is verified now
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (err) {
+      logger.error("Error sending password changed email : ", err);
+    }
+
+    logger.info("Password reset successfully", user._id);
+    res.json({
+      success: true,
+      message: "Password reset successfully, please log in again",
+    });
+  } catch (err) {
+    logger.error("Error resetting password : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
+  loginTwoFactor,
   refreshTokenController,
   logoutController,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
 };
@@ -0,0 +1,66 @@
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const {
+  validationUserLookup,
+  validationAvatarUsage,
+} = require("../utils/validation");
+const { toAuthorSnapshot } = require("../utils/profile");
+
+// batch lookup of author data for other services, unknown ids are left out
+const lookupUsers = async (req, res) => {
+  try {
+    const { error } = validationUserLookup(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const users = await User.find({ _id: { $in: req.body.ids } });
+
+    res.json({
+      success: true,
+      message: "Users fetched successfully",
+      users: users.map(toAuthorSnapshot),
+    });
+  } catch (err) {
+    logger.error("Error looking up users : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// which of the given media are avatars, media-service checks this before it
+// deletes media it believes to be orphaned
+const getAvatarUsage = async (req, res) => {
+  try {
+    const { error } = validationAvatarUsage(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const users = await User.find({
+      avatarMediaId: { $in: req.body.mediaIds },
+    }).select("_id avatarMediaId");
+
+    res.json({
+      success: true,
+      message: "Avatar usage fetched successfully",
+      usage: users.map((user) => ({
+        mediaId: user.avatarMediaId.toString(),
+        userId: user._id.toString(),
+      })),
+    });
+  } catch (err) {
+    logger.error("Error fetching avatar usage : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  lookupUsers,
+  getAvatarUsage,
+};
@@ -0,0 +1,17 @@
+const logger = require("../utils/logger");
+const { getJwks } = require("../utils/keys");
+
+// public keys the api-gateway verifies access tokens with
+const jwks = (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(getJwks());
+  } catch (err) {
+    logger.error("Error serving JWKS : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  jwks,
+};
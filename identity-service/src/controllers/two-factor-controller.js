@@ -0,0 +1,221 @@
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const {
+  validationTwoFactorCode,
+  validationDisableTwoFactor,
+} = require("../utils/validation");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const {
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Social Media";
+
+const userNotFound = (res) => {
+  logger.warn("User not found");
+  return res.status(404).json({ success: false, message: "User not found" });
+};
+
+// starts enrollment, 2FA is only enabled once confirmTwoFactor sees a code
+const setupTwoFactor = async (req, res) => {
+  logger.info("Two-factor setup initiated...");
+  try {
+    const user = await User.findById(req.user);
+    if (!user) {
+      return userNotFound(res);
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Scan the code with your authenticator app, then confirm it",
+      secret,
+      otpauthUrl: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: TWO_FACTOR_ISSUER,
+      }),
+    });
+  } catch (err) {
+    logger.error("Error setting up two-factor authentication : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// enables 2FA with the first code from the app and hands out recovery codes
+const confirmTwoFactor = async (req, res) => {
+  logger.info("Two-factor confirmation initiated...");
+  try {
+    const { error } = validationTwoFactorCode(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user).select(
+      "+twoFactorPendingSecret"
+    );
+    if (!user) {
+      return userNotFound(res);
+    }
+    if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      logger.warn("Invalid two-factor confirmation code");
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid two-factor code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastStep = step;
+    await user.save();
+
+    logger.info("Two-factor authentication enabled", user._id);
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled, store the recovery codes somewhere safe",
+      recoveryCodes: codes,
+    });
+  } catch (err) {
+    logger.error("Error confirming two-factor authentication : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// replaces all recovery codes, needs a current code from the app
+const regenerateRecoveryCodes = async (req, res) => {
+  logger.info("Recovery code regeneration initiated...");
+  try {
+    const { error } = validationTwoFactorCode(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user).select("+twoFactorSecret");
+    if (!user) {
+      return userNotFound(res);
+    }
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      logger.warn("Invalid two-factor code");
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid two-factor code" });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorRecoveryCodes: hashes } }
+    );
+
+    logger.info("Recovery codes regenerated", user._id);
+    res.json({
+      success: true,
+      message: "Recovery codes regenerated, the old ones no longer work",
+      recoveryCodes: codes,
+    });
+  } catch (err) {
+    logger.error("Error regenerating recovery codes : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// needs both the password and a second factor
+const disableTwoFactor = async (req, res) => {
+  logger.info("Two-factor disable initiated...");
+  try {
+    const { error } = validationDisableTwoFactor(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user).select("+twoFactorSecret");
+    if (!user) {
+      return userNotFound(res);
+    }
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const isPasswordValid = await user.comparePassword(password);
+    if (
+      !isPasswordValid ||
+      !(await verifySecondFactor(user, { code, recoveryCode }))
+    ) {
+      logger.warn("Invalid password or two-factor code");
+      return res.status(400).json({
+        success: false,
+        message: "Invalid password or two-factor code",
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorEnabledAt: 1,
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorRecoveryCodes: 1,
+          twoFactorLastStep: 1,
+        },
+      }
+    );
+
+    logger.info("Two-factor authentication disabled", user._id);
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (err) {
+    logger.error("Error disabling two-factor authentication : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
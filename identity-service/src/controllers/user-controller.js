@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { validationUpdateProfile } = require("../utils/validation");
+const { lookupMedia } = require("../utils/mediaClient");
+const {
+  toPublicProfile,
+  toOwnProfile,
+  publishUserEvent,
+} = require("../utils/profile");
+
+// A media.processed that went out while the user was being saved found no
+// user with the avatar, so an avatar still being processed is looked up once
+// more after saving
+const refreshPendingAvatar = async (user) => {
+  try {
+    const [media] = await lookupMedia([user.avatarMediaId.toString()]);
+    if (media?.processingStatus === "ready") {
+      user.avatarUrl = media.renditions?.thumbnail?.url || media.url;
+      await user.save();
+    }
+  } catch (err) {
+    logger.error("Error refreshing pending avatar : ", err);
+  }
+};
+
+// public profile by user id or username
+const getUserProfile = async (req, res) => {
+  logger.info("Fetching user profile...");
+  try {
+    const { idOrUsername } = req.params;
+    const user = await User.findOne(
+      mongoose.isValidObjectId(idOrUsername)
+        ? { $or: [{ _id: idOrUsername }, { username: idOrUsername }] }
+        : { username: idOrUsername }
+    );
+    if (!user || user.banned) {
+      logger.warn("User not found");
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Profile fetched successfully",
+      profile: toPublicProfile(user),
+    });
+  } catch (err) {
+    logger.error("Error fetching user profile : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+const getMyProfile = async (req, res) => {
+  logger.info("Fetching own profile...");
+  try {
+    const user = await User.findById(req.user);
+    if (!user) {
+      logger.warn("User not found");
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Profile fetched successfully",
+      profile: toOwnProfile(user),
+    });
+  } catch (err) {
+    logger.error("Error fetching own profile : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// the avatar is uploaded to media-service first (/v1/media/upload), then
+// referenced here by its media id
+const updateMyProfile = async (req, res) => {
+  logger.info("Updating own profile...");
+  try {
+    const { error, value } = validationUpdateProfile(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const user = await User.findById(req.user);
+    if (!user) {
+      logger.warn("User not found");
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const { avatarMediaId, ...fields } = value;
+    let avatarPending = false;
+    Object.entries(fields).forEach(([field, fieldValue]) => {
+      user[field] = fieldValue || undefined;
+    });
+
+    if (avatarMediaId === null) {
+      user.avatarMediaId = undefined;
+      user.avatarUrl = undefined;
+    } else if (avatarMediaId) {
+      let media;
+      try {
+        [media] = await lookupMedia([avatarMediaId]);
+      } catch (err) {
+        logger.error("Error looking up avatar media : ", err);
+        return res.status(502).json({
+          success: false,
+          message: "Unable to verify the avatar, please try again later",
+        });
+      }
+
+      if (!media || media.userId !== user._id.toString()) {
+        logger.warn("Avatar media not found or not owned by user");
+        return res
+          .status(400)
+          .json({ success: false, message: "Avatar media not found" });
+      }
+      if (!media.mimeType.startsWith("image/")) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Avatar must be an image" });
+      }
+      user.avatarMediaId = media._id;
+      user.avatarUrl = media.renditions?.thumbnail?.url || media.url;
+      avatarPending =
+        media.processingStatus === "pending" ||
+        media.processingStatus === "processing";
+    }
+
+    await user.save();
+    if (avatarPending) {
+      await refreshPendingAvatar(user);
+    }
+    await publishUserEvent("user.updated", user);
+
+    logger.info("Profile updated successfully", user._id);
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      profile: toOwnProfile(user),
+    });
+  } catch (err) {
+    logger.error("Error updating own profile : ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  getUserProfile,
+  getMyProfile,
+  updateMyProfile,
+};
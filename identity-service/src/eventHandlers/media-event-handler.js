@@ -0,0 +1,50 @@
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { publishUserEvent } = require("../utils/profile");
+
+// media.processed, avatars point at the thumbnail once media-service made one
+// and are dropped when processing failed, the image will never be served
+const handleMediaProcessed = async (event) => {
+  const { mediaId, renditions, processingStatus } = event;
+  try {
+    const users = await User.find({ avatarMediaId: mediaId });
+    for (const user of users) {
+      if (processingStatus === "failed") {
+        user.avatarMediaId = undefined;
+        user.avatarUrl = undefined;
+        await user.save();
+        await publishUserEvent("user.updated", user);
+        logger.warn(`Avatar of user ${user._id} removed, processing failed`);
+        continue;
+      }
+      user.avatarUrl = renditions?.thumbnail || event.url;
+      await user.save();
+      await publishUserEvent("user.updated", user);
+      logger.info(`Avatar of user ${user._id} updated`);
+    }
+  } catch (error) {
+    logger.error("Error handling media processed event", error);
+  }
+};
+
+// media.deleted, the avatar goes away with its image
+const handleMediaDeleted = async (event) => {
+  const { mediaId } = event;
+  try {
+    const users = await User.find({ avatarMediaId: mediaId });
+    for (const user of users) {
+      user.avatarMediaId = undefined;
+      user.avatarUrl = undefined;
+      await user.save();
+      await publishUserEvent("user.updated", user);
+      logger.info(`Avatar of user ${user._id} removed`);
+    }
+  } catch (error) {
+    logger.error("Error handling media deleted event", error);
+  }
+};
+
+module.exports = {
+  handleMediaProcessed,
+  handleMediaDeleted,
+};
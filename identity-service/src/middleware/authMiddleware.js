@@ -0,0 +1,35 @@
+const logger = require("../utils/logger");
+
+const authenticatedRequest = (req, res, next) => {
+  const userId = req.headers["x-user-id"];
+
+  if (!userId) {
+    logger.warn("Access attempt without user ID");
+    return res.status(401).json({
+      success: false,
+      message: "Authentication failed, no user ID provided",
+    });
+  }
+
+  req.user = userId;
+  req.userRole = req.headers["x-user-role"] || "user";
+  // refresh token family of the access token, set by the api-gateway
+  req.sessionId = req.headers["x-session-id"];
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (req.userRole !== "admin") {
+    logger.warn(`User ${req.user} is not an admin`);
+    return res.status(403).json({
+      success: false,
+      message: "Only admins can do this",
+    });
+  }
+  next();
+};
+
+module.exports = {
+  authenticatedRequest,
+  requireAdmin,
+};
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+const LOGIN_AUDIT_RETENTION_DAYS =
+  parseInt(process.env.LOGIN_AUDIT_RETENTION_DAYS) || 90;
+
+// audit trail of failed and blocked login attempts
+const loginAuditSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // null when the email does not belong to an account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "unknown-user",
+        "invalid-password",
+        "invalid-two-factor-code",
+        "locked",
+      ],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAuditSchema.index({ email: 1, createdAt: -1 });
+loginAuditSchema.index({ ip: 1, createdAt: -1 });
+loginAuditSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_AUDIT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("LoginAudit", loginAuditSchema);
@@ -20,6 +20,88 @@ const userSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // public profile
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+    // image in media-service, avatarUrl is copied from it
+    avatarMediaId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    avatarUrl: {
+      type: String,
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
+    banned: {
+      type: Boolean,
+      default: false,
+    },
+    bannedAt: {
+      type: Date,
+    },
+    banReason: {
+      type: String,
+    },
+    // TOTP two-factor authentication, the secrets never leave the service
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // set by setup, becomes twoFactorSecret once a first code confirms it
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // sha256 hashes of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    // last accepted time step, a code can't be used twice
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    // carried in access tokens as ver, bumped to invalidate all of them at once
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -48,5 +130,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 };
 
 userSchema.index({ username: "text" });
+// avatars of a media, for media-service's orphan sweeper and media.deleted
+userSchema.index({ avatarMediaId: 1 }, { sparse: true });
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// single-use tokens handed to users (email verification, password reset,
+// second login step). Only the sha256 hash is stored
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["email-verification", "password-reset", "login-challenge"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ user: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
@@ -2,6 +2,7 @@ const mongoose = require("mongoose");
 
 const refreshTokenSchema = new mongoose.Schema(
   {
+    // sha256 of the token handed to the client, never the token itself
     token: {
       type: String,
       required: true,
@@ -12,6 +13,34 @@ const refreshTokenSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // every token issued from one login shares a family. Rotated tokens stay
+    // around (with usedAt set) so presenting one again can be detected
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    familyCreatedAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    device: {
+      type: String,
+    },
     expiresAt: {
       type: Date,
       required: true,
@@ -20,6 +49,7 @@ const refreshTokenSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+refreshTokenSchema.index({ user: 1, revokedAt: 1, usedAt: 1 });
 refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
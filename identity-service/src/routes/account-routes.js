@@ -0,0 +1,29 @@
+const express = require("express");
+const {
+  changePassword,
+  getSessions,
+  revokeSession,
+  logoutAllSessions,
+} = require("../controllers/account-controller");
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require("../controllers/two-factor-controller");
+const { authenticatedRequest } = require("../middleware/authMiddleware");
+
+// endpoints for signed in users, the gateway validates the access token
+const router = express.Router();
+router.use(authenticatedRequest);
+
+router.post("/change-password", changePassword);
+router.get("/sessions", getSessions);
+router.delete("/sessions/:sessionId", revokeSession);
+router.post("/logout-all", logoutAllSessions);
+router.post("/2fa/setup", setupTwoFactor);
+router.post("/2fa/confirm", confirmTwoFactor);
+router.post("/2fa/recovery-codes", regenerateRecoveryCodes);
+router.post("/2fa/disable", disableTwoFactor);
+
+module.exports = router;
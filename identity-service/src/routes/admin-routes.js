@@ -0,0 +1,15 @@
+const express = require("express");
+const { banUser, unbanUser } = require("../controllers/admin-controller");
+const {
+  authenticatedRequest,
+  requireAdmin,
+} = require("../middleware/authMiddleware");
+
+// moderation endpoints, only for users with the admin role
+const router = express.Router();
+router.use(authenticatedRequest, requireAdmin);
+
+router.post("/users/:userId/ban", banUser);
+router.delete("/users/:userId/ban", unbanUser);
+
+module.exports = router;
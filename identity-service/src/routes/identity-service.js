@@ -2,15 +2,26 @@ const express = require("express");
 const {
   registerUser,
   loginUser,
+  loginTwoFactor,
   refreshTokenController,
   logoutController,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
 } = require("../controllers/identity-controller");
 
 const router = express.Router();
 
 router.post("/register", registerUser);
 router.post("/login", loginUser);
+router.post("/login/2fa", loginTwoFactor);
 router.post("/refresh-token", refreshTokenController);
 router.post("/logout", logoutController);
+router.get("/verify-email", verifyEmail);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", resendVerificationEmail);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
 
 module.exports = router;
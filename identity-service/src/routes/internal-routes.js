@@ -0,0 +1,15 @@
+const express = require("express");
+const {
+  lookupUsers,
+  getAvatarUsage,
+} = require("../controllers/internal-user-controller");
+const { internalRequest } = require("../middleware/internalAuth");
+
+// service to service endpoints, not exposed through the api-gateway
+const router = express.Router();
+router.use(internalRequest);
+
+router.post("/lookup", lookupUsers);
+router.post("/avatar-usage", getAvatarUsage);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const {
+  getUserProfile,
+  getMyProfile,
+  updateMyProfile,
+} = require("../controllers/user-controller");
+const { authenticatedRequest } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+router.use(authenticatedRequest);
+
+router.get("/me", getMyProfile);
+router.patch("/me", updateMyProfile);
+router.get("/:idOrUsername", getUserProfile);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const { jwks } = require("../controllers/jwks-controller");
+
+const router = express.Router();
+
+router.get("/jwks.json", jwks);
+
+module.exports = router;
@@ -1,6 +1,8 @@
+const dotenv = require("dotenv");
+dotenv.config();
+
 const cors = require("cors");
 const Redis = require("ioredis");
-const dotenv = require("dotenv");
 const helmet = require("helmet");
 const express = require("express");
 const { RedisStore } = require("rate-limit-redis");
@@ -13,14 +15,28 @@ const ConnectToDB = require("./database/db");
 // ** Utils and helpers
 const logger = require("./utils/logger");
 
+// ** Events
+const { consumeEvent } = require("./utils/rabbitmq");
+const {
+  handleMediaProcessed,
+  handleMediaDeleted,
+} = require("./eventHandlers/media-event-handler");
+
 // ** Middleware
-const { errorHandler, notFoundHandler } = require("./middleware/errorhandler");
+const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
 
 // ** Custom Routes
 const routes = require("./routes/identity-service");
+const accountRoutes = require("./routes/account-routes");
+const adminRoutes = require("./routes/admin-routes");
+const userRoutes = require("./routes/user-routes");
+const internalRoutes = require("./routes/internal-routes");
+const wellKnownRoutes = require("./routes/well-known-routes");
 
-dotenv.config();
 const app = express();
+// requests come through the api gateway, trust it for the client IP so the
+// IP based limits apply per client instead of to the gateway
+app.set("trust proxy", 1);
 
 const PORT = process.env.PORT || 3001;
 
@@ -33,9 +49,25 @@ app.use(express.json());
 app.use(helmet());
 app.use(cors());
 
+// passwords, codes and tokens must never reach the logs
+const REDACTED_BODY_FIELDS = new Set([
+  "password",
+  "currentPassword",
+  "newPassword",
+  "code",
+  "recoveryCode",
+  "challengeToken",
+  "token",
+  "refreshToken",
+]);
+
 app.use((req, res, next) => {
   logger.info(`Received ${req.method} request to ${req.url}`);
-  logger.info(`Request body: ${JSON.stringify(req.body)}`);
+  logger.info(
+    `Request body: ${JSON.stringify(req.body, (key, value) =>
+      REDACTED_BODY_FIELDS.has(key) ? "[REDACTED]" : value
+    )}`
+  );
   next();
 });
 
@@ -83,9 +115,19 @@ const sensitiveEndpoints = rateLimit({
 // apply rate limiting to sensitive endpoints
 app.use("/api/auth/register", sensitiveEndpoints);
 app.use("/api/auth/login", sensitiveEndpoints);
+app.use("/api/auth/resend-verification", sensitiveEndpoints);
+app.use("/api/auth/forgot-password", sensitiveEndpoints);
+app.use("/api/auth/reset-password", sensitiveEndpoints);
+app.use("/api/account/change-password", sensitiveEndpoints);
+app.use("/api/account/2fa", sensitiveEndpoints);
 
 // routes
 app.use("/api/auth", routes);
+app.use("/api/account", accountRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/users", userRoutes);
+app.use("/internal/users", internalRoutes);
+app.use("/.well-known", wellKnownRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -96,6 +138,11 @@ app.listen(PORT, () => {
   logger.info(`Server is running on port ${PORT}`);
 });
 
+// auth keeps working without RabbitMQ, only avatar updates are missed
+consumeEvent("media.processed", handleMediaProcessed)
+  .then(() => consumeEvent("media.deleted", handleMediaDeleted))
+  .catch((err) => logger.error("Failed to consume media events", err));
+
 // Unhandled promise rejection
 process.on("unhandledRejection", (reason, promise) => {
   logger.error("Unhandled Rejection at:", promise, "reason:", reason);
@@ -0,0 +1,48 @@
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iPhone", /iPhone/],
+  ["iPad", /iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+const firstMatch = (list, userAgent) =>
+  list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+// short human readable label like "Chrome on Windows"
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+  const browser = firstMatch(BROWSERS, userAgent);
+  const os = firstMatch(OPERATING_SYSTEMS, userAgent);
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+  return browser || os || userAgent.slice(0, 100);
+};
+
+// where a login comes from, recorded on every refresh token of the session.
+// Clients can name themselves with the x-device-name header
+const getSessionMetadata = (req) => {
+  const userAgent = req.get("user-agent");
+  return {
+    ip: req.ip,
+    userAgent,
+    device: req.get("x-device-name") || describeDevice(userAgent),
+  };
+};
+
+module.exports = {
+  describeDevice,
+  getSessionMetadata,
+};
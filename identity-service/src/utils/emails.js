@@ -0,0 +1,36 @@
+const { sendMail } = require("./mailer");
+
+const appUrl = () => process.env.APP_URL || "http://localhost:3000";
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${appUrl()}/v1/auth/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account you can ignore this email.`,
+  });
+};
+
+const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+  const resetUrl =
+    process.env.PASSWORD_RESET_URL || `${appUrl()}/reset-password`;
+  const link = `${resetUrl}?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.username},\n\nWe received a request to reset your password. Open the link below to choose a new one, it is valid for ${ttlMinutes} minutes and can only be used once:\n\n${link}\n\nIf you did not ask for a password reset you can ignore this email.`,
+  });
+};
+
+const sendPasswordChangedEmail = (user) =>
+  sendMail({
+    to: user.email,
+    subject: "Your password was changed",
+    text: `Hi ${user.username},\n\nThe password of your account was just changed and all of your sessions were signed out. If this wasn't you, reset your password right away.`,
+  });
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+};
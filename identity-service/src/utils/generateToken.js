@@ -1,12 +1,23 @@
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const RefreshToken = require("../models/refreshToken");
+const { hashToken } = require("./userTokens");
+const { signToken } = require("./keys");
 
-const generateTokens = async (user) => {
-  const accessToken = jwt.sign(
-    { userId: user._id },
-    process.env.JWT_SECRET_KEY,
-    { expiresIn: "15m" }
+// session is either the metadata of a new login ({ ip, userAgent, device })
+// or the token being rotated, whose family the new token joins
+const generateTokens = async (user, session = {}) => {
+  const family = session.family || crypto.randomUUID();
+
+  // sid lets the gateway reject access tokens of a revoked session
+  const accessToken = signToken(
+    {
+      userId: user._id,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      sid: family,
+      ver: user.tokenVersion || 0,
+    },
+    { expiresIn: "15m", jwtid: crypto.randomUUID() }
   );
 
   const refreshToken = crypto.randomBytes(40).toString("hex");
@@ -15,8 +26,13 @@ const generateTokens = async (user) => {
   expiresAt.setDate(expiresAt.getDate() + 7); // refresh token expires in 7 days
 
   await RefreshToken.create({
-    token: refreshToken,
+    token: hashToken(refreshToken),
     user: user._id,
+    family,
+    familyCreatedAt: session.familyCreatedAt || new Date(),
+    ip: session.ip,
+    userAgent: session.userAgent,
+    device: session.device,
     expiresAt,
   });
 
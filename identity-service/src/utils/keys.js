@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const logger = require("./logger");
+
+const ALGORITHM = "RS256";
+const KEYS_DIR = path.resolve(process.env.JWT_KEYS_DIR || "keys");
+
+// Every <kid>.pem in JWT_KEYS_DIR is an RSA private key. All of them are
+// published in the JWKS so tokens signed with an older key keep verifying,
+// new tokens are signed with JWT_ACTIVE_KID (or the last kid in name order)
+const loadKeys = () => {
+  const files = fs.existsSync(KEYS_DIR)
+    ? fs
+        .readdirSync(KEYS_DIR)
+        .filter((file) => file.endsWith(".pem"))
+        .sort()
+    : [];
+
+  const keys = files.map((file) => {
+    const privateKey = crypto.createPrivateKey(
+      fs.readFileSync(path.join(KEYS_DIR, file))
+    );
+    return {
+      kid: path.basename(file, ".pem"),
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey),
+    };
+  });
+
+  if (!keys.length) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(`No JWT signing keys found in ${KEYS_DIR}`);
+    }
+    // tokens won't survive a restart, run scripts/generate-jwt-key.js instead
+    logger.warn(`No JWT signing keys in ${KEYS_DIR}, using a temporary key`);
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    keys.push({ kid: `dev-${crypto.randomUUID()}`, privateKey, publicKey });
+  }
+
+  return keys;
+};
+
+const keys = loadKeys();
+
+const activeKid = process.env.JWT_ACTIVE_KID || keys[keys.length - 1].kid;
+const activeKey = keys.find((key) => key.kid === activeKid);
+if (!activeKey) {
+  throw new Error(`JWT_ACTIVE_KID ${activeKid} not found in ${KEYS_DIR}`);
+}
+logger.info(`Signing JWTs with key ${activeKid}, ${keys.length} keys loaded`);
+
+const signToken = (payload, options = {}) =>
+  jwt.sign(payload, activeKey.privateKey, {
+    ...options,
+    algorithm: ALGORITHM,
+    keyid: activeKey.kid,
+  });
+
+// throws like jwt.verify when the token is invalid or signed by an unknown key
+const verifyToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = keys.find(({ kid }) => kid === decoded?.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError("Unknown signing key");
+  }
+  return jwt.verify(token, key.publicKey, { algorithms: [ALGORITHM] });
+};
+
+// public half of every key, served at /.well-known/jwks.json
+const getJwks = () => ({
+  keys: keys.map(({ kid, publicKey }) => ({
+    ...publicKey.export({ format: "jwk" }),
+    kid,
+    alg: ALGORITHM,
+    use: "sig",
+  })),
+});
+
+module.exports = {
+  signToken,
+  verifyToken,
+  getJwks,
+};
@@ -0,0 +1,129 @@
+const argon2 = require("argon2");
+const Redis = require("ioredis");
+const { RateLimiterRedis } = require("rate-limiter-flexible");
+const LoginAudit = require("../models/LoginAudit");
+const logger = require("./logger");
+
+const redisClient = new Redis(process.env.REDIS_URL);
+
+const MAX_FAILED_LOGINS_PER_ACCOUNT =
+  parseInt(process.env.MAX_FAILED_LOGINS_PER_ACCOUNT) || 5;
+const MAX_FAILED_LOGINS_PER_IP =
+  parseInt(process.env.MAX_FAILED_LOGINS_PER_IP) || 50;
+const LOGIN_LOCKOUT_SECONDS =
+  parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60;
+const LOGIN_DELAY_BASE_MS = 500;
+const LOGIN_DELAY_MAX_MS = 8000;
+
+// failed attempts per account inside a 15 minute window
+const failuresByAccount = new RateLimiterRedis({
+  storeClient: redisClient,
+  keyPrefix: "login_fail_account",
+  points: MAX_FAILED_LOGINS_PER_ACCOUNT,
+  duration: 15 * 60,
+});
+
+// failed attempts per IP over a day, catches one client spraying many accounts
+const failuresByIp = new RateLimiterRedis({
+  storeClient: redisClient,
+  keyPrefix: "login_fail_ip",
+  points: MAX_FAILED_LOGINS_PER_IP,
+  duration: 24 * 60 * 60,
+});
+
+// compared against when the email is unknown, so both failure paths take the
+// same time and can't be told apart
+let dummyHash = null;
+const verifyDummyPassword = async (password) => {
+  if (!dummyHash) {
+    dummyHash = await argon2.hash("dummy-password-for-timing");
+  }
+  await argon2.verify(dummyHash, password);
+  return false;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toLock = (msBeforeNext) => ({
+  retryAfter: Math.ceil(msBeforeNext / 1000),
+  lockedUntil: new Date(Date.now() + msBeforeNext),
+});
+
+// returns the active lock for the account or IP, or null
+const getLoginLock = async (email, ip) => {
+  const [accountRes, ipRes] = await Promise.all([
+    failuresByAccount.get(email),
+    failuresByIp.get(ip),
+  ]);
+
+  const locks = [
+    [accountRes, MAX_FAILED_LOGINS_PER_ACCOUNT],
+    [ipRes, MAX_FAILED_LOGINS_PER_IP],
+  ]
+    .filter(([res, max]) => res && res.consumedPoints >= max)
+    .map(([res]) => res.msBeforeNext);
+
+  return locks.length > 0 ? toLock(Math.max(...locks)) : null;
+};
+
+// counts a failed attempt. Locks the account or IP once it reaches its limit,
+// otherwise returns how long to hold the response back
+const registerLoginFailure = async (email, ip) => {
+  const consume = (limiter, key) =>
+    limiter.consume(key).catch((res) => {
+      if (res instanceof Error) {
+        throw res;
+      }
+      return res;
+    });
+
+  const [accountRes, ipRes] = await Promise.all([
+    consume(failuresByAccount, email),
+    consume(failuresByIp, ip),
+  ]);
+
+  if (accountRes.consumedPoints >= MAX_FAILED_LOGINS_PER_ACCOUNT) {
+    await failuresByAccount.block(email, LOGIN_LOCKOUT_SECONDS);
+    logger.warn(`Account ${email} locked after repeated failed logins`);
+    return { lock: toLock(LOGIN_LOCKOUT_SECONDS * 1000) };
+  }
+  if (ipRes.consumedPoints >= MAX_FAILED_LOGINS_PER_IP) {
+    await failuresByIp.block(ip, LOGIN_LOCKOUT_SECONDS);
+    logger.warn(`IP ${ip} locked after repeated failed logins`);
+    return { lock: toLock(LOGIN_LOCKOUT_SECONDS * 1000) };
+  }
+
+  const failures = accountRes.consumedPoints;
+  const delayMs =
+    failures <= 1
+      ? 0
+      : Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - 2), LOGIN_DELAY_MAX_MS);
+  return { lock: null, delayMs };
+};
+
+// a successful login clears the account counter, the IP counter stays so a
+// client can't reset it with an account of its own
+const clearLoginFailures = (email) => failuresByAccount.delete(email);
+
+const recordFailedLogin = async ({ email, user, req, reason }) => {
+  try {
+    await LoginAudit.create({
+      email,
+      user: user?._id || null,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      reason,
+    });
+  } catch (err) {
+    logger.error("Error writing login audit entry : ", err);
+  }
+};
+
+module.exports = {
+  getLoginLock,
+  registerLoginFailure,
+  clearLoginFailures,
+  recordFailedLogin,
+  verifyDummyPassword,
+  sleep,
+};
@@ -0,0 +1,78 @@
+const fs = require("fs/promises");
+const path = require("path");
+const logger = require("./logger");
+
+// Mail transports, picked with MAIL_TRANSPORT. "console" and "file" need no
+// mail server and are meant for local development and tests.
+const transports = {
+  console: () => ({
+    send: async (message) => {
+      logger.info(
+        `Email to ${message.to} | ${message.subject}\n${message.text}`
+      );
+    },
+  }),
+
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    return {
+      send: async (message) => {
+        await fs.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`;
+        await fs.writeFile(
+          path.join(outboxDir, fileName),
+          JSON.stringify(message, null, 2)
+        );
+        logger.info(`Email to ${message.to} written to ${fileName}`);
+      },
+    };
+  },
+
+  smtp: () => {
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+    return {
+      send: (message) => transporter.sendMail(message),
+    };
+  },
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// lets tests (or other integrations) swap in their own transport
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+};
@@ -0,0 +1,52 @@
+const logger = require("./logger");
+const { publishEvent } = require("./rabbitmq");
+
+// what anyone can see about a user
+const toPublicProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.displayName || user.username,
+  bio: user.bio || "",
+  avatarMediaId: user.avatarMediaId || null,
+  avatarUrl: user.avatarUrl || null,
+  website: user.website || "",
+  location: user.location || "",
+  createdAt: user.createdAt,
+});
+
+// the signed in user's own view
+const toOwnProfile = (user) => ({
+  ...toPublicProfile(user),
+  email: user.email,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  role: user.role,
+});
+
+// the author data other services keep a copy of, sent in user events and
+// returned by the internal lookup
+const toAuthorSnapshot = (user) => ({
+  userId: user._id.toString(),
+  username: user.username,
+  displayName: user.displayName || user.username,
+  avatarUrl: user.avatarUrl || null,
+  avatarMediaId: user.avatarMediaId?.toString() || null,
+  updatedAt: user.updatedAt,
+});
+
+// user.created / user.updated, other services keep copies of the author
+// data in sync with these. A failed publish doesn't fail the request
+const publishUserEvent = async (routingKey, user) => {
+  try {
+    await publishEvent(routingKey, JSON.stringify(toAuthorSnapshot(user)));
+  } catch (err) {
+    logger.error(`Error publishing ${routingKey} event : `, err);
+  }
+};
+
+module.exports = {
+  toPublicProfile,
+  toOwnProfile,
+  toAuthorSnapshot,
+  publishUserEvent,
+};
@@ -0,0 +1,114 @@
+const RefreshToken = require("../models/refreshToken");
+const logger = require("./logger");
+const { hashToken } = require("./userTokens");
+const { revokeSessions, revokeAllAccessTokens } = require("./tokenRevocation");
+
+// a session is the refresh token family of one login, the family id is also
+// the sid claim of its access tokens
+const activeTokenFilter = () => ({
+  usedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// revokes every refresh token of one login session
+const revokeFamily = async (family) => {
+  const { modifiedCount } = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await revokeSessions([family]);
+  logger.info(`Revoked ${modifiedCount} refresh tokens of family ${family}`);
+  return modifiedCount;
+};
+
+// signs the user out of every device, their access tokens included
+const revokeAllSessions = async (userId) => {
+  const families = await RefreshToken.distinct("family", {
+    user: userId,
+    ...activeTokenFilter(),
+  });
+  const { modifiedCount } = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await revokeSessions(families);
+  await revokeAllAccessTokens(userId);
+  logger.info(`Revoked ${modifiedCount} refresh tokens for user ${userId}`);
+  return modifiedCount;
+};
+
+// the latest token of a family is the only unused one, so there is one
+// active token per session. It was issued on the last refresh
+const listSessions = async (userId) => {
+  const tokens = await RefreshToken.find({
+    user: userId,
+    ...activeTokenFilter(),
+  }).sort({ createdAt: -1 });
+
+  return tokens.map((token) => ({
+    id: token.family,
+    device: token.device,
+    ip: token.ip,
+    userAgent: token.userAgent,
+    createdAt: token.familyCreatedAt,
+    lastUsedAt: token.createdAt,
+    expiresAt: token.expiresAt,
+  }));
+};
+
+// revokes one session of the user, false when the user has no such session
+const revokeUserSession = async (userId, family) => {
+  const session = await RefreshToken.exists({
+    user: userId,
+    family,
+    ...activeTokenFilter(),
+  });
+  if (!session) {
+    return false;
+  }
+  await revokeFamily(family);
+  return true;
+};
+
+// Marks a refresh token as used so it can be swapped for a new one.
+// Resolves to { status: "valid", token } on success, { status: "reused" } when
+// an already rotated or revoked token comes back (the whole family is revoked,
+// as one of its tokens has leaked) and { status: "invalid" } otherwise
+const rotateRefreshToken = async (rawToken) => {
+  const hashed = hashToken(rawToken);
+  const now = new Date();
+
+  const token = await RefreshToken.findOneAndUpdate(
+    {
+      token: hashed,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  if (token) {
+    return { status: "valid", token };
+  }
+
+  const known = await RefreshToken.findOne({ token: hashed });
+  if (known && (known.usedAt || known.revokedAt)) {
+    logger.warn(
+      `Refresh token reuse detected for user ${known.user}, family ${known.family}`
+    );
+    await revokeFamily(known.family);
+    return { status: "reused", token: known };
+  }
+
+  return { status: "invalid" };
+};
+
+module.exports = {
+  revokeFamily,
+  revokeAllSessions,
+  listSessions,
+  revokeUserSession,
+  rotateRefreshToken,
+};
@@ -0,0 +1,72 @@
+const Redis = require("ioredis");
+const User = require("../models/User");
+const logger = require("./logger");
+const { verifyToken } = require("./keys");
+
+const redisClient = new Redis(process.env.REDIS_URL);
+
+// access tokens live for 15 minutes, after that the gateway rejects them anyway
+const REVOCATION_TTL_SECONDS = 15 * 60;
+
+// The api-gateway checks these keys on every request, so revoked access
+// tokens stop working before they expire:
+//   revoked:sid:<sessionId>  every token of a signed out session
+//   revoked:jti:<tokenId>    one token
+//   token-version:<userId>   tokens whose ver claim is lower than the value
+const revokeSessions = async (sessionIds) => {
+  if (!sessionIds.length) {
+    return;
+  }
+  const pipeline = redisClient.pipeline();
+  sessionIds.forEach((sessionId) =>
+    pipeline.set(`revoked:sid:${sessionId}`, "1", "EX", REVOCATION_TTL_SECONDS)
+  );
+  await pipeline.exec();
+  logger.info(`Pushed ${sessionIds.length} revoked sessions to the gateway`);
+};
+
+// denylists the access token sent with a request until it expires.
+// Tokens that don't verify are ignored, the gateway rejects them already
+const revokeAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (e) {
+    return false;
+  }
+  if (!payload.jti) {
+    return false;
+  }
+
+  const ttl = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+  await redisClient.set(`revoked:jti:${payload.jti}`, "1", "EX", ttl);
+  logger.info(`Revoked access token ${payload.jti}`);
+  return true;
+};
+
+// invalidates every access token issued to the user so far, tokens issued
+// afterwards carry the new version
+const revokeAllAccessTokens = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    return;
+  }
+  await redisClient.set(
+    `token-version:${user._id}`,
+    String(user.tokenVersion),
+    "EX",
+    REVOCATION_TTL_SECONDS
+  );
+  logger.info(`Revoked all access tokens for user ${user._id}`);
+};
+
+module.exports = {
+  REVOCATION_TTL_SECONDS,
+  revokeSessions,
+  revokeAccessToken,
+  revokeAllAccessTokens,
+};
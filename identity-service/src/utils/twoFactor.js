@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const logger = require("./logger");
+const { hashToken } = require("./userTokens");
+const { verifyCode } = require("./totp");
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// codes look like "3f9a1-0c2d7", compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) =>
+  code.toLowerCase().replace(/[\s-]/g, "");
+
+// the plain codes are shown to the user once, only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// accepts each time step only once, so an intercepted code can't be replayed
+const useTotpCode = async (user, code) => {
+  const step = verifyCode(user.twoFactorSecret, code);
+  if (step === null) {
+    return false;
+  }
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      twoFactorEnabled: true,
+      $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }],
+    },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return modifiedCount === 1;
+};
+
+const useRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, twoFactorEnabled: true, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  if (modifiedCount === 1) {
+    logger.info(`Recovery code used by user ${user._id}`);
+  }
+  return modifiedCount === 1;
+};
+
+// checks the second factor, either a code from the authenticator app or one
+// of the recovery codes. The user must be loaded with +twoFactorSecret
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorEnabled) {
+    return false;
+  }
+  if (recoveryCode) {
+    return useRecoveryCode(user, recoveryCode);
+  }
+  return useTotpCode(user, code);
+};
+
+module.exports = {
+  LOGIN_CHALLENGE_TTL_MS,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const UserToken = require("../models/UserToken");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// issues a new token of the given type, replacing any unused ones
+const createUserToken = async (user, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await UserToken.deleteMany({ user: user._id, type, usedAt: null });
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// looks the token up without using it, null when it can't be redeemed
+const findUserToken = async (token, type) => {
+  if (!token) {
+    return null;
+  }
+  return UserToken.findOne({
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// marks the token as used and returns it, or null when it is unknown,
+// expired or already used. Atomic, so a token can only ever be redeemed once
+const consumeUserToken = async (token, type) => {
+  if (!token) {
+    return null;
+  }
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  hashToken,
+  createUserToken,
+  findUserToken,
+  consumeUserToken,
+};
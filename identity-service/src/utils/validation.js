@@ -25,8 +25,148 @@ const validationRefreshToken = (data) => {
   return schema.validate(data);
 };
 
+const validationVerifyEmail = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().hex().required(),
+  });
+  return schema.validate(data);
+};
+
+const validationResendVerification = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+  });
+  return schema.validate(data);
+};
+
+const validationForgotPassword = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+  });
+  return schema.validate(data);
+};
+
+const validationResetPassword = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().hex().required(),
+    password: Joi.string().min(6).max(1024).required(),
+  });
+  return schema.validate(data);
+};
+
+const validationChangePassword = (data) => {
+  const schema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string()
+      .min(6)
+      .max(1024)
+      .invalid(Joi.ref("currentPassword"))
+      .required()
+      .messages({
+        "any.invalid": "New password must be different from the current one",
+      }),
+  });
+  return schema.validate(data);
+};
+
+const totpCode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({ "string.pattern.base": "Code must be 6 digits" });
+
+const secondFactorMessages = {
+  "object.missing": "Provide a code or a recovery code",
+  "object.xor": "Provide either a code or a recovery code, not both",
+};
+
+const validationTwoFactorCode = (data) => {
+  const schema = Joi.object({
+    code: totpCode.required(),
+  });
+  return schema.validate(data);
+};
+
+// either a code from the authenticator app or a recovery code
+const validationDisableTwoFactor = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: totpCode,
+    recoveryCode: Joi.string().max(20),
+  })
+    .xor("code", "recoveryCode")
+    .messages(secondFactorMessages);
+  return schema.validate(data);
+};
+
+const validationLoginTwoFactor = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().hex().required(),
+    code: totpCode,
+    recoveryCode: Joi.string().max(20),
+  })
+    .xor("code", "recoveryCode")
+    .messages(secondFactorMessages);
+  return schema.validate(data);
+};
+
+// empty strings clear a field, so does a null avatarMediaId
+const validationUpdateProfile = (data) => {
+  const schema = Joi.object({
+    displayName: Joi.string().trim().max(50).allow(""),
+    bio: Joi.string().trim().max(300).allow(""),
+    avatarMediaId: Joi.string().hex().length(24).allow(null),
+    website: Joi.string()
+      .trim()
+      .uri({ scheme: ["http", "https"] })
+      .max(200)
+      .allow(""),
+    location: Joi.string().trim().max(100).allow(""),
+  }).min(1);
+  return schema.validate(data);
+};
+
+const validationUserLookup = (data) => {
+  const schema = Joi.object({
+    ids: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .max(100)
+      .required(),
+  });
+  return schema.validate(data);
+};
+
+const validationBanUser = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string().max(500),
+  });
+  return schema.validate(data);
+};
+
+const validationAvatarUsage = (data) => {
+  const schema = Joi.object({
+    mediaIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .max(100)
+      .required(),
+  });
+  return schema.validate(data);
+};
+
 module.exports = {
   validationRegistration,
   validationLogin,
   validationRefreshToken,
+  validationVerifyEmail,
+  validationResendVerification,
+  validationForgotPassword,
+  validationResetPassword,
+  validationChangePassword,
+  validationUpdateProfile,
+  validationBanUser,
+  validationUserLookup,
+  validationAvatarUsage,
+  validationTwoFactorCode,
+  validationDisableTwoFactor,
+  validationLoginTwoFactor,
 };
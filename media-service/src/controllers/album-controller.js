@@ -0,0 +1,213 @@
+const mongoose = require("mongoose");
+const Album = require("../models/Album");
+const logger = require("../utils/logger");
+const {
+  validationCreateAlbum,
+  validationUpdateAlbum,
+} = require("../utils/validation");
+const { findMissingMedia, withMedia } = require("../utils/albums");
+const { syncAttachments } = require("../utils/attachments");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+} = require("../utils/cursor");
+
+// albums of other users look the same as missing ones
+const findOwnAlbum = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.albumId)) {
+    return null;
+  }
+  return Album.findOne({ _id: req.params.albumId, userId: req.user });
+};
+
+const albumNotFound = (res) =>
+  res.status(404).json({ success: false, message: "Album not found" });
+
+const missingMediaResponse = (res, missingMediaIds) => {
+  logger.warn("Album media not found or not owned by user");
+  return res.status(400).json({
+    success: false,
+    message: "Some media could not be found",
+    missingMediaIds,
+  });
+};
+
+const syncAlbumAttachments = (album) =>
+  syncAttachments({
+    kind: "album",
+    refId: album._id.toString(),
+    userId: album.userId,
+    mediaIds: album.items.map((item) => item.mediaId),
+  });
+
+const createAlbum = async (req, res) => {
+  logger.info("Create album endpoint hit...");
+  try {
+    const { error, value } = validationCreateAlbum(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const missingMediaIds = await findMissingMedia(value.items, req.user);
+    if (missingMediaIds.length > 0) {
+      return missingMediaResponse(res, missingMediaIds);
+    }
+
+    const album = await Album.create({ ...value, userId: req.user });
+    await syncAlbumAttachments(album);
+
+    logger.info(`Album ${album._id} created`);
+    const [result] = await withMedia([album]);
+    return res.status(201).json({
+      success: true,
+      message: "Album created successfully",
+      album: result,
+    });
+  } catch (error) {
+    logger.error("Error creating album", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error creating album" });
+  }
+};
+
+// own albums, newest first
+const getAlbums = async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid cursor" });
+    }
+
+    const albums = await Album.find({
+      userId: req.user,
+      ...cursorFilter(cursor),
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = albums.length > limit;
+    const page = albums.slice(0, limit);
+
+    return res.json({
+      success: true,
+      message: "Albums fetched successfully",
+      albums: await withMedia(page),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+      limit,
+    });
+  } catch (error) {
+    logger.error("Error fetching albums", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching albums" });
+  }
+};
+
+const getAlbum = async (req, res) => {
+  try {
+    const album = await findOwnAlbum(req);
+    if (!album) {
+      return albumNotFound(res);
+    }
+
+    const [result] = await withMedia([album]);
+    return res.json({
+      success: true,
+      message: "Album fetched successfully",
+      album: result,
+    });
+  } catch (error) {
+    logger.error("Error fetching album", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching album" });
+  }
+};
+
+// items replaces the whole list, which is how items are reordered
+const updateAlbum = async (req, res) => {
+  logger.info("Update album endpoint hit...");
+  try {
+    const { error, value } = validationUpdateAlbum(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const album = await findOwnAlbum(req);
+    if (!album) {
+      return albumNotFound(res);
+    }
+    if (value.items) {
+      const missingMediaIds = await findMissingMedia(value.items, req.user);
+      if (missingMediaIds.length > 0) {
+        return missingMediaResponse(res, missingMediaIds);
+      }
+    }
+
+    Object.assign(album, value);
+    await album.save();
+    if (value.items) {
+      await syncAlbumAttachments(album);
+    }
+
+    logger.info(`Album ${album._id} updated`);
+    const [result] = await withMedia([album]);
+    return res.json({
+      success: true,
+      message: "Album updated successfully",
+      album: result,
+    });
+  } catch (error) {
+    logger.error("Error updating album", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error updating album" });
+  }
+};
+
+// the media stays, only the grouping is removed
+const deleteAlbum = async (req, res) => {
+  logger.info("Delete album endpoint hit...");
+  try {
+    const album = await findOwnAlbum(req);
+    if (!album) {
+      return albumNotFound(res);
+    }
+
+    await Album.deleteOne({ _id: album._id });
+    album.items = [];
+    await syncAlbumAttachments(album);
+
+    logger.info(`Album ${album._id} deleted`);
+    return res.json({
+      success: true,
+      message: "Album deleted successfully",
+    });
+  } catch (error) {
+    logger.error("Error deleting album", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error deleting album" });
+  }
+};
+
+module.exports = {
+  createAlbum,
+  getAlbums,
+  getAlbum,
+  updateAlbum,
+  deleteAlbum,
+};
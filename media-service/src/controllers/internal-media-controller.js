@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const Album = require("../models/Album");
+const Media = require("../models/Media");
+const logger = require("../utils/logger");
+const { validationMediaLookup } = require("../utils/validation");
+const { withMedia } = require("../utils/albums");
+const {
+  sweepOrphanedMedia,
+  getSweeperMetrics,
+} = require("../jobs/orphanSweeper");
+
+// batch lookup for other services, ids that don't exist are left out
+const lookupMedia = async (req, res) => {
+  try {
+    const { error } = validationMediaLookup(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    // media the orphan sweeper is deleting can't be attached anymore
+    const media = await Media.find({
+      _id: { $in: req.body.ids },
+      purgingAt: null,
+    });
+
+    return res.json({
+      success: true,
+      message: "Media fetched successfully",
+      media,
+    });
+  } catch (error) {
+    logger.error("Error looking up media", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error looking up media" });
+  }
+};
+
+// an album with its media, post-service attaches albums to posts
+const getAlbum = async (req, res) => {
+  try {
+    const album = mongoose.isValidObjectId(req.params.albumId)
+      ? await Album.findById(req.params.albumId)
+      : null;
+    if (!album) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Album not found" });
+    }
+
+    const [result] = await withMedia([album]);
+    return res.json({
+      success: true,
+      message: "Album fetched successfully",
+      album: result,
+    });
+  } catch (error) {
+    logger.error("Error fetching album", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching album" });
+  }
+};
+
+const getOrphanSweeperMetrics = async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      message: "Orphan sweeper metrics fetched successfully",
+      metrics: await getSweeperMetrics(),
+    });
+  } catch (error) {
+    logger.error("Error fetching orphan sweeper metrics", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching orphan sweeper metrics",
+    });
+  }
+};
+
+// runs a sweep right away, ?dryRun=true only reports the candidates
+const runOrphanSweeper = async (req, res) => {
+  try {
+    const run = await sweepOrphanedMedia(
+      req.query.dryRun === undefined
+        ? {}
+        : { dryRun: req.query.dryRun === "true" }
+    );
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: "An orphan sweep is already running",
+      });
+    }
+    return res.json({
+      success: true,
+      message: "Orphan sweep finished",
+      run,
+    });
+  } catch (error) {
+    logger.error("Error running orphan sweep", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error running orphan sweep" });
+  }
+};
+
+module.exports = {
+  lookupMedia,
+  getAlbum,
+  getOrphanSweeperMetrics,
+  runOrphanSweeper,
+};
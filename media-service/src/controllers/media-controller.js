@@ -1,6 +1,63 @@
+const mongoose = require("mongoose");
 const Media = require("../models/Media");
-const { uploadToCloudinary } = require("../utils/Cloudinary");
+const { Readable } = require("stream");
+const { getStorage, removeMediaFiles } = require("../storage");
 const logger = require("../utils/logger");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+} = require("../utils/cursor");
+const {
+  validationSignedUrl,
+  validationMediaQuery,
+  validationDeleteMedia,
+} = require("../utils/validation");
+const { removeFromAlbums } = require("../utils/albums");
+const { publishEvent } = require("../utils/rabbitmq");
+const {
+  reserveQuota,
+  releaseQuota,
+  storeMedia,
+} = require("../utils/mediaUpload");
+const { checkFileType } = require("../utils/fileType");
+
+// no URL for images until processing is done, see the Media toJSON
+const clientUrl = (media) =>
+  media.processingStatus === "ready" ? media.url : null;
+
+// Checks and stores one file from multer. Resolves to { media }, or the
+// status and message to reject the file with
+const storeUploadedFile = async (file, userId) => {
+  const { originalname, mimetype } = file;
+  logger.info(`File details : name: ${originalname}, type: ${mimetype}`);
+
+  // the client's mimetype is only a claim, the content decides
+  const fileType = checkFileType(file.buffer);
+  if (fileType.error) {
+    logger.warn(`Rejected upload ${originalname} : ${fileType.error}`);
+    return { status: 415, message: fileType.error };
+  }
+
+  if (!(await reserveQuota(userId, file.size))) {
+    logger.warn(`Storage quota exceeded for user ${userId}`);
+    return { status: 403, message: "Storage quota exceeded" };
+  }
+
+  let media;
+  try {
+    media = await storeMedia(Readable.from(file.buffer), {
+      userId,
+      originalName: originalname,
+      mimeType: fileType.mimeType,
+    });
+  } finally {
+    await releaseQuota(userId, file.size);
+  }
+  logger.info(`Media uploaded successfully. Media ID : ${media._id}`);
+  return { media };
+};
 
 const uploadMedia = async (req, res) => {
   logger.info("Starting media upload");
@@ -14,43 +71,89 @@ const uploadMedia = async (req, res) => {
       });
     }
 
-    const { originalname, mimetype } = file;
-    const userId = req.user;
-
-    logger.info(`File details : name: ${originalname}, type: ${mimetype}`);
-    logger.info(`Uploading file to cloudinary for user ${userId}`);
-
-    const cloudinaryUploadResult = await uploadToCloudinary(file);
-    logger.info(
-      `Cloudinary upload successful. Public ID : - ${cloudinaryUploadResult.public_id}`
-    );
+    const { media, status, message } = await storeUploadedFile(file, req.user);
+    if (!media) {
+      return res.status(status).json({ success: false, message });
+    }
 
-    const newlyCreatedMedia = new Media({
-      publicId: cloudinaryUploadResult.public_id,
-      originalName: originalname,
-      mimeType: mimetype,
-      url: cloudinaryUploadResult.secure_url,
-      userId,
+    return res.status(201).json({
+      success: true,
+      message: "Media uploaded successfully",
+      mediaID: media._id,
+      url: clientUrl(media),
+      processingStatus: media.processingStatus,
     });
+  } catch (error) {
+    logger.error("Error uploading media", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error uploading media",
+    });
+  }
+};
 
-    await newlyCreatedMedia.save();
+// Every file is stored or rejected on its own, results are in request order.
+// 201 when all files were stored, 207 when only some were
+const uploadManyMedia = async (req, res) => {
+  logger.info("Starting multi-file media upload");
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      logger.warn("No files provided in req.files");
+      return res.status(400).json({
+        success: false,
+        message: "No files provided. Please add files and try again",
+      });
+    }
 
-    logger.info(
-      `Media uploaded successfully. Media ID : ${newlyCreatedMedia._id}`
-    );
-    return res.status(201).json({
+    const results = [];
+    for (const file of files) {
+      try {
+        const { media, status, message } = await storeUploadedFile(
+          file,
+          req.user
+        );
+        results.push(
+          media
+            ? {
+                originalName: file.originalname,
+                success: true,
+                mediaID: media._id,
+                url: clientUrl(media),
+                processingStatus: media.processingStatus,
+              }
+            : {
+                originalName: file.originalname,
+                success: false,
+                status,
+                message,
+              }
+        );
+      } catch (error) {
+        logger.error(`Error uploading ${file.originalname}`, error);
+        results.push({
+          originalName: file.originalname,
+          success: false,
+          status: 500,
+          message: "Error uploading media",
+        });
+      }
+    }
+
+    const uploaded = results.filter((result) => result.success).length;
+    if (uploaded === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "None of the files could be uploaded",
+        results,
+      });
+    }
+    return res.status(uploaded === files.length ? 201 : 207).json({
       success: true,
-      message: "Media uploaded successfully",
-      mediaID: newlyCreatedMedia._id,
-      url: newlyCreatedMedia.url,
+      message: `${uploaded} of ${files.length} files uploaded successfully`,
+      results,
     });
   } catch (error) {
-    console.log(
-      "cloudinary credentials : ",
-      process.env.CLOUDINARY_CLOUD_NAME,
-      process.env.CLOUDINARY_API_KEY,
-      process.env.CLOUDINARY_API_SECRET
-    );
     logger.error("Error uploading media", error);
     return res.status(500).json({
       success: false,
@@ -59,10 +162,99 @@ const uploadMedia = async (req, res) => {
   }
 };
 
+// the caller's media matching the get-all-media filters
+const mediaFilter = (userId, { mimeType, from, to, attached }) => {
+  const filter = { userId, purgingAt: null };
+  if (mimeType) {
+    filter.mimeType = mimeType.endsWith("/*")
+      ? { $regex: `^${mimeType.slice(0, -1)}` }
+      : mimeType;
+  }
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+  if (attached === true) {
+    filter["attachments.0"] = { $exists: true };
+  } else if (attached === false) {
+    filter.attachments = { $size: 0 };
+  }
+  return filter;
+};
+
+// own media, newest first, optionally filtered by ?mimeType, ?from, ?to
+// and ?attached
 const getAllMedia = async (req, res) => {
   try {
-    const media = await Media.find();
+    const { error, value } = validationMediaQuery({
+      mimeType: req.query.mimeType,
+      from: req.query.from,
+      to: req.query.to,
+      attached: req.query.attached,
+    });
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid cursor" });
+    }
+
+    const filter = mediaFilter(req.user, value);
+    // one extra item tells us whether there is a next page
+    const media = await Media.find({ ...filter, ...cursorFilter(cursor) })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = media.length > limit;
+    const page = media.slice(0, limit);
+    const totalNoOfMedia = await Media.countDocuments(filter);
+
     return res.status(200).json({
+      success: true,
+      message: "Media fetched successfully",
+      media: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+      limit,
+      totalNoOfMedia,
+    });
+  } catch (error) {
+    logger.error("Error fetching media", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching media" });
+  }
+};
+
+const mediaNotFound = (res) =>
+  res.status(404).json({ success: false, message: "Media not found" });
+
+// media of other users looks the same as missing media
+const getMedia = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return mediaNotFound(res);
+    }
+    const media = await Media.findOne({
+      _id: req.params.id,
+      userId: req.user,
+      purgingAt: null,
+    });
+    if (!media) {
+      return mediaNotFound(res);
+    }
+
+    return res.json({
       success: true,
       message: "Media fetched successfully",
       media,
@@ -75,7 +267,171 @@ const getAllMedia = async (req, res) => {
   }
 };
 
+// Deletes own media. Media a post or the avatar uses is only deleted with
+// ?force=true, albums just lose the item. Other services drop their
+// references on media.deleted
+const deleteMedia = async (req, res) => {
+  logger.info("Delete media endpoint hit...");
+  try {
+    const { error, value } = validationDeleteMedia({
+      id: req.params.id,
+      force: req.query.force,
+    });
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const media = await Media.findOne({
+      _id: value.id,
+      userId: req.user,
+      purgingAt: null,
+    });
+    if (!media) {
+      return mediaNotFound(res);
+    }
+
+    const inUse = media.attachments.filter(
+      (attachment) => attachment.kind !== "album"
+    );
+    if (inUse.length > 0 && !value.force) {
+      logger.warn(`Media ${media._id} is in use, not deleting it`);
+      return res.status(409).json({
+        success: false,
+        message: "Media is in use, delete it with ?force=true anyway",
+        attachments: inUse,
+      });
+    }
+
+    // claimed like the orphan sweeper does, so it can't be attached meanwhile
+    const claimed = await Media.findOneAndUpdate(
+      { _id: media._id, purgingAt: null },
+      { $set: { purgingAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return mediaNotFound(res);
+    }
+    try {
+      await removeMediaFiles(claimed);
+    } catch (error) {
+      await Media.updateOne(
+        { _id: claimed._id },
+        { $set: { purgingAt: null } }
+      );
+      throw error;
+    }
+    await Media.deleteOne({ _id: claimed._id });
+    await removeFromAlbums(claimed._id);
+
+    await publishEvent(
+      "media.deleted",
+      JSON.stringify({
+        mediaId: claimed._id.toString(),
+        userId: claimed.userId.toString(),
+        attachments: claimed.attachments,
+      })
+    );
+
+    logger.info(`Media ${claimed._id} deleted`);
+    return res.json({
+      success: true,
+      message: "Media deleted successfully",
+    });
+  } catch (error) {
+    logger.error("Error deleting media", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error deleting media" });
+  }
+};
+
+// time limited URL for the owner, whatever backend the file is in
+const getSignedMediaUrl = async (req, res) => {
+  try {
+    const { error, value } = validationSignedUrl({
+      id: req.params.id,
+      expiresIn: req.query.expiresIn,
+    });
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const media = await Media.findOne({ _id: value.id, userId: req.user });
+    if (!media) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Media not found" });
+    }
+
+    if (media.processingStatus !== "ready") {
+      return res.status(409).json({
+        success: false,
+        message: "Media is not processed yet",
+        processingStatus: media.processingStatus,
+      });
+    }
+
+    const storage = getStorage(media.storage);
+    if (!storage.getSignedUrl) {
+      return res.status(400).json({
+        success: false,
+        message: `Media in ${storage.name} storage is public, use its url`,
+      });
+    }
+
+    const url = await storage.getSignedUrl(media.publicId, {
+      mimeType: media.mimeType,
+      expiresIn: value.expiresIn,
+    });
+
+    return res.json({
+      success: true,
+      message: "Signed URL created successfully",
+      url,
+      expiresAt: new Date(Date.now() + value.expiresIn * 1000),
+    });
+  } catch (error) {
+    logger.error("Error creating signed media URL", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error creating signed media URL" });
+  }
+};
+
+// Serves files of the local disk backend. Files are public like cloudinary
+// and S3 delivery URLs, there are no signed URLs for them
+const serveLocalFile = async (req, res) => {
+  const local = getStorage("local");
+  const key = req.params.key.join("/");
+
+  let filePath;
+  try {
+    filePath = local.resolvePath(key);
+  } catch (error) {
+    return res.status(404).json({ success: false, message: "File not found" });
+  }
+
+  // helmet only allows same origin embedding by default
+  res.set("Cross-Origin-Resource-Policy", "cross-origin");
+  res.sendFile(filePath, { maxAge: "1d" }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ success: false, message: "File not found" });
+    }
+  });
+};
+
 module.exports = {
   uploadMedia,
+  uploadManyMedia,
   getAllMedia,
+  getMedia,
+  deleteMedia,
+  getSignedMediaUrl,
+  serveLocalFile,
 };
@@ -0,0 +1,367 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const Redis = require("ioredis");
+const mongoose = require("mongoose");
+const UploadSession = require("../models/UploadSession");
+const logger = require("../utils/logger");
+const { validationUploadSession } = require("../utils/validation");
+const {
+  reserveQuota,
+  releaseQuota,
+  storeMedia,
+} = require("../utils/mediaUpload");
+const {
+  SNIFF_BYTES,
+  checkFileType,
+  isAllowedType,
+} = require("../utils/fileType");
+const {
+  tempFilePath,
+  createTempFile,
+  removeTempFile,
+  parseUploadMetadata,
+  writeChunk,
+  readFileStart,
+  verifyChecksum,
+} = require("../utils/resumableUpload");
+
+const redisClient = new Redis(process.env.REDIS_URL);
+
+const MB = 1024 * 1024;
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 500) * MB;
+const MAX_ACTIVE_UPLOADS = parseInt(process.env.MAX_ACTIVE_UPLOADS) || 5;
+const UPLOAD_SESSION_TTL_MS =
+  (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// longest a single PATCH may hold the session
+const CHUNK_LOCK_MS = 15 * 60 * 1000;
+
+const setUploadHeaders = (res, session) =>
+  res.set({
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.length),
+    "Upload-Expires": session.expiresAt.toUTCString(),
+    "Cache-Control": "no-store",
+  });
+
+// sessions of other users look the same as missing ones
+const findSession = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.uploadId)) {
+    return null;
+  }
+  return UploadSession.findOne({
+    _id: req.params.uploadId,
+    userId: req.user,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const uploadNotFound = (res) =>
+  res.status(404).json({ success: false, message: "Upload not found" });
+
+// one PATCH at a time per session, resolves to the lock id or null
+const lockSession = async (sessionId) => {
+  const lockId = crypto.randomUUID();
+  const locked = await redisClient.set(
+    `upload-lock:${sessionId}`,
+    lockId,
+    "PX",
+    CHUNK_LOCK_MS,
+    "NX"
+  );
+  return locked ? lockId : null;
+};
+
+const unlockSession = async (sessionId, lockId) => {
+  const key = `upload-lock:${sessionId}`;
+  if ((await redisClient.get(key)) === lockId) {
+    await redisClient.del(key);
+  }
+};
+
+// POST /uploads, tus creation: Upload-Length plus Upload-Metadata with
+// filename, filetype and optionally checksum ("sha256 <base64 digest>")
+const createUpload = async (req, res) => {
+  logger.info("Creating resumable upload...");
+  try {
+    const metadata = parseUploadMetadata(req.headers["upload-metadata"]);
+    const { error, value } = validationUploadSession({
+      length: req.headers["upload-length"],
+      filename: metadata.filename,
+      filetype: metadata.filetype || undefined,
+      checksum: metadata.checksum,
+    });
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    // the declared type is checked against the content on completion
+    if (!isAllowedType(value.filetype)) {
+      return res.status(415).json({
+        success: false,
+        message: `Files of type ${value.filetype} are not allowed`,
+      });
+    }
+    const userId = req.user;
+    if (value.length > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({
+        success: false,
+        message: `Uploads are limited to ${MAX_UPLOAD_BYTES / MB}MB`,
+      });
+    }
+    const activeUploads = await UploadSession.countDocuments({
+      userId,
+      status: "uploading",
+      expiresAt: { $gt: new Date() },
+    });
+    if (activeUploads >= MAX_ACTIVE_UPLOADS) {
+      logger.warn(`Too many active uploads for user ${userId}`);
+      return res.status(429).json({
+        success: false,
+        message: "Too many uploads in progress, finish or cancel one first",
+      });
+    }
+    if (!(await reserveQuota(userId, value.length))) {
+      logger.warn(`Storage quota exceeded for user ${userId}`);
+      return res
+        .status(403)
+        .json({ success: false, message: "Storage quota exceeded" });
+    }
+
+    // from here on the session itself holds the bytes
+    let session;
+    try {
+      session = await UploadSession.create({
+        userId,
+        filename: value.filename,
+        mimeType: value.filetype,
+        length: value.length,
+        checksum: value.checksum,
+        expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS),
+      });
+    } finally {
+      await releaseQuota(userId, value.length);
+    }
+    await createTempFile(session._id);
+
+    logger.info(`Resumable upload ${session._id} created for user ${userId}`);
+    setUploadHeaders(res, session);
+    res.location(`${req.baseUrl}/${session._id}`);
+    return res.status(201).json({
+      success: true,
+      message: "Upload created",
+      upload: session,
+    });
+  } catch (error) {
+    logger.error("Error creating resumable upload", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error creating upload" });
+  }
+};
+
+// HEAD /uploads/:uploadId, where to resume
+const getUploadOffset = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session || session.status === "failed") {
+      return res.status(404).end();
+    }
+    setUploadHeaders(res, session);
+    return res.status(200).end();
+  } catch (error) {
+    logger.error("Error fetching upload offset", error);
+    return res.status(500).end();
+  }
+};
+
+// GET /uploads/:uploadId, the same as JSON plus the media once complete
+const getUpload = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return uploadNotFound(res);
+    }
+    setUploadHeaders(res, session);
+    return res.json({
+      success: true,
+      message: "Upload fetched successfully",
+      upload: session,
+    });
+  } catch (error) {
+    logger.error("Error fetching upload", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching upload" });
+  }
+};
+
+const failUpload = async (session) => {
+  session.status = "failed";
+  await session.save();
+  await removeTempFile(session._id);
+};
+
+// Checks the whole file and hands it to the storage backend. Resolves to
+// null, or the status and message to reject the upload with
+const completeUpload = async (session) => {
+  if (
+    session.checksum &&
+    !(await verifyChecksum(session._id, session.checksum))
+  ) {
+    await failUpload(session);
+    logger.warn(`Checksum mismatch for resumable upload ${session._id}`);
+    // 460 is the tus status for a checksum mismatch
+    return {
+      status: 460,
+      message: "Checksum mismatch, the upload has to be started again",
+    };
+  }
+
+  const fileType = checkFileType(await readFileStart(session._id, SNIFF_BYTES));
+  if (fileType.error) {
+    await failUpload(session);
+    logger.warn(`Rejected resumable upload ${session._id} : ${fileType.error}`);
+    return { status: 415, message: fileType.error };
+  }
+
+  const media = await storeMedia(
+    fs.createReadStream(tempFilePath(session._id)),
+    {
+      userId: session.userId.toString(),
+      originalName: session.filename,
+      mimeType: fileType.mimeType,
+    }
+  );
+  session.status = "completed";
+  session.mimeType = fileType.mimeType;
+  session.mediaId = media._id;
+  await session.save();
+  await removeTempFile(session._id);
+  logger.info(
+    `Resumable upload ${session._id} completed as media ${media._id}`
+  );
+  return null;
+};
+
+// PATCH /uploads/:uploadId, appends the body at Upload-Offset. The chunk
+// that reaches Upload-Length completes the upload
+const uploadChunk = async (req, res) => {
+  let session;
+  let lockId;
+  try {
+    if (req.headers["content-type"] !== "application/offset+octet-stream") {
+      return res.status(415).json({
+        success: false,
+        message: "Content-Type must be application/offset+octet-stream",
+      });
+    }
+    const offset = Number(req.headers["upload-offset"]);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid Upload-Offset header" });
+    }
+
+    session = await findSession(req);
+    if (!session || session.status === "failed") {
+      return uploadNotFound(res);
+    }
+    if (session.status === "completed") {
+      return res
+        .status(409)
+        .json({ success: false, message: "Upload is already complete" });
+    }
+
+    lockId = await lockSession(session._id);
+    if (!lockId) {
+      return res.status(423).json({
+        success: false,
+        message: "Another chunk of this upload is being written",
+      });
+    }
+    // the session may have moved on before we got the lock
+    session = await UploadSession.findById(session._id);
+    if (offset !== session.offset) {
+      setUploadHeaders(res, session);
+      return res.status(409).json({
+        success: false,
+        message: `Upload-Offset must be ${session.offset}`,
+      });
+    }
+
+    try {
+      session.offset = await writeChunk(req, session);
+    } catch (error) {
+      if (error.code === "UPLOAD_LENGTH_EXCEEDED") {
+        return res.status(413).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+    await session.save();
+
+    if (session.offset === session.length) {
+      let rejection;
+      try {
+        rejection = await completeUpload(session);
+      } catch (error) {
+        // with offset at length the upload would look finished to tus
+        // clients, and its bytes would stay reserved against the quota
+        await failUpload(session);
+        throw error;
+      }
+      if (rejection) {
+        return res
+          .status(rejection.status)
+          .json({ success: false, message: rejection.message });
+      }
+    }
+
+    setUploadHeaders(res, session);
+    return res.status(204).end();
+  } catch (error) {
+    logger.error("Error writing upload chunk", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error writing upload chunk" });
+  } finally {
+    if (lockId) {
+      await unlockSession(session._id, lockId);
+    }
+  }
+};
+
+// DELETE /uploads/:uploadId, tus termination of an unfinished upload
+const cancelUpload = async (req, res) => {
+  try {
+    const session = await findSession(req);
+    if (!session) {
+      return uploadNotFound(res);
+    }
+    if (session.status === "completed") {
+      return res
+        .status(409)
+        .json({ success: false, message: "Upload is already complete" });
+    }
+
+    await UploadSession.deleteOne({ _id: session._id });
+    await removeTempFile(session._id);
+    logger.info(`Resumable upload ${session._id} cancelled`);
+    return res.status(204).end();
+  } catch (error) {
+    logger.error("Error cancelling upload", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error cancelling upload" });
+  }
+};
+
+module.exports = {
+  createUpload,
+  getUploadOffset,
+  getUpload,
+  uploadChunk,
+  cancelUpload,
+};
@@ -1,29 +1,221 @@
+const { Readable } = require("stream");
 const Media = require("../models/Media");
-const { deleteMediaFromCloudinary } = require("../utils/Cloudinary");
+const { getStorage } = require("../storage");
+const { createRenditions } = require("../utils/imageProcessing");
+const { publishEvent } = require("../utils/rabbitmq");
+const { syncAttachments } = require("../utils/attachments");
 const logger = require("../utils/logger");
 
+const MAX_PROCESSING_ATTEMPTS =
+  parseInt(process.env.MAX_PROCESSING_ATTEMPTS) || 3;
+
 const handlePostDeleted = async (event) => {
   console.log(event, "EVENTHandler");
 
   // Check if event is a string or already an object
   const eventData = typeof event === "string" ? JSON.parse(event) : event;
-  const { postId, mediaIds } = eventData;
+  const { postId } = eventData;
+
+  try {
+    // The media may still be used by other posts, the avatar or albums, so
+    // only the post lets go of it. Media nothing uses anymore is left to the
+    // orphan sweeper
+    const attachment = { kind: "post", refId: postId };
+    const { modifiedCount } = await Media.updateMany(
+      { attachments: attachment },
+      { $pull: { attachments: attachment } }
+    );
+
+    logger.info(`Detached ${modifiedCount} media from deleted post ${postId}`);
+  } catch (error) {
+    logger.error("Error detaching media of deleted post", error);
+  }
+};
+
+// post.created and post.updated
+const handlePostMediaChanged = async (event) => {
+  const { postId, userId, mediaIds = [] } = event;
+  try {
+    await syncAttachments({ kind: "post", refId: postId, userId, mediaIds });
+    logger.info(
+      `Synced ${mediaIds.length} media attachments of post ${postId}`
+    );
+  } catch (error) {
+    logger.error("Error syncing post media attachments", error);
+  }
+};
+
+// user.updated, the avatar is attached to the user
+const handleUserUpdated = async (event) => {
+  const { userId, avatarMediaId } = event;
+  try {
+    await syncAttachments({
+      kind: "avatar",
+      refId: userId,
+      userId,
+      mediaIds: avatarMediaId ? [avatarMediaId] : [],
+    });
+    logger.info(`Synced avatar attachment of user ${userId}`);
+  } catch (error) {
+    logger.error("Error syncing avatar attachment", error);
+  }
+};
+
+const storeRenditions = async (storage, media, renditions, storedKeys) => {
+  const stored = {};
+  for (const [name, rendition] of Object.entries(renditions)) {
+    const result = await storage.upload(Readable.from(rendition.buffer), {
+      userId: media.userId.toString(),
+      mimeType: rendition.mimeType,
+    });
+    storedKeys.push(result.key);
+    stored[name] = {
+      key: result.key,
+      url: result.url,
+      width: rendition.width,
+      height: rendition.height,
+      bytes: rendition.bytes,
+    };
+  }
+  return stored;
+};
+
+// Gives up on an image. The file as uploaded still has its EXIF data and is
+// never handed out, so it is removed
+const failProcessing = async (media) => {
+  const failed = await Media.findOneAndUpdate(
+    { _id: media._id, processingStatus: media.processingStatus },
+    { $set: { processingStatus: "failed" } },
+    { new: true }
+  );
+  if (!failed) {
+    return;
+  }
+  await getStorage(media.storage).remove(media.publicId, {
+    mimeType: media.mimeType,
+  });
+
+  await publishEvent(
+    "media.processed",
+    JSON.stringify({
+      mediaId: failed._id.toString(),
+      userId: failed.userId.toString(),
+      processingStatus: "failed",
+      url: null,
+    })
+  );
+  logger.warn(
+    `Gave up processing media ${media._id} after ${media.processingAttempts} attempts`
+  );
+};
 
+// media.uploaded, creates the renditions of an image and replaces the file
+// as it was uploaded, EXIF data included, with the stripped original. Failed
+// attempts are retried by the processing retry job
+const handleMediaUploaded = async (event) => {
+  const { mediaId } = event;
+  const storedKeys = [];
+  let media;
+  let processed;
   try {
-    const mediaToDelete = await Media.find({ _id: { $in: mediaIds } });
-    for (const media of mediaToDelete) {
-      await deleteMediaFromCloudinary(media.publicId);
-      await Media.findByIdAndDelete(media._id);
+    // every instance gets the event, the one that claims the media processes it
+    media = await Media.findOneAndUpdate(
+      { _id: mediaId, processingStatus: "pending" },
+      {
+        $set: { processingStatus: "processing" },
+        $inc: { processingAttempts: 1 },
+      },
+      { new: true }
+    );
+    if (!media) {
+      return;
+    }
 
-      logger.info(`Deleted media ${media._id} from post ${postId}`);
+    const storage = getStorage(media.storage);
+    const { renditions, blurhash } = await createRenditions(
+      await storage.download(media.publicId, { mimeType: media.mimeType }),
+      media
+    );
+    const stored = await storeRenditions(
+      storage,
+      media,
+      renditions,
+      storedKeys
+    );
+
+    processed = await Media.findOneAndUpdate(
+      { _id: media._id, processingStatus: "processing" },
+      {
+        $set: {
+          publicId: stored.original.key,
+          url: stored.original.url,
+          width: stored.original.width,
+          height: stored.original.height,
+          bytes: stored.original.bytes,
+          renditions: stored,
+          blurhash,
+          processingStatus: "ready",
+          processedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!processed) {
+      // deleted while we were processing it
+      for (const key of storedKeys) {
+        await storage.remove(key, { mimeType: media.mimeType });
+      }
+      return;
     }
+    await storage.remove(media.publicId, { mimeType: media.mimeType });
 
-    logger.info(`Deleted ${mediaToDelete.length} media from post ${postId}`);
+    await publishEvent(
+      "media.processed",
+      JSON.stringify({
+        mediaId: processed._id.toString(),
+        userId: processed.userId.toString(),
+        processingStatus: "ready",
+        url: processed.url,
+        width: processed.width,
+        height: processed.height,
+        blurhash,
+        renditions: {
+          thumbnail: stored.thumbnail.url,
+          medium: stored.medium.url,
+          original: stored.original.url,
+        },
+      })
+    );
+    logger.info(`Processed media ${mediaId}`);
   } catch (error) {
-    logger.error("Error deleting media", error);
+    logger.error(`Error processing media ${mediaId}`, error);
+    if (!media || processed) {
+      return;
+    }
+    try {
+      const storage = getStorage(media.storage);
+      for (const key of storedKeys) {
+        await storage.remove(key, { mimeType: media.mimeType });
+      }
+      if (media.processingAttempts >= MAX_PROCESSING_ATTEMPTS) {
+        await failProcessing(media);
+      } else {
+        await Media.updateOne(
+          { _id: media._id, processingStatus: "processing" },
+          { $set: { processingStatus: "pending" } }
+        );
+      }
+    } catch (cleanupError) {
+      logger.error(`Error cleaning up media ${mediaId}`, cleanupError);
+    }
   }
 };
 
 module.exports = {
+  MAX_PROCESSING_ATTEMPTS,
+  failProcessing,
   handlePostDeleted,
+  handleMediaUploaded,
+  handlePostMediaChanged,
+  handleUserUpdated,
 };
@@ -0,0 +1,240 @@
+const crypto = require("crypto");
+const Redis = require("ioredis");
+const Media = require("../models/Media");
+const PurgedMedia = require("../models/PurgedMedia");
+const { removeMediaFiles } = require("../storage");
+const { publishEvent } = require("../utils/rabbitmq");
+const { getPostMediaUsage } = require("../utils/postClient");
+const { getAvatarUsage } = require("../utils/identityClient");
+const logger = require("../utils/logger");
+
+const redisClient = new Redis(process.env.REDIS_URL);
+
+const SWEEP_INTERVAL_MS =
+  (parseInt(process.env.ORPHAN_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const GRACE_PERIOD_MS =
+  (parseInt(process.env.ORPHAN_GRACE_PERIOD_HOURS) || 24) * 60 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.ORPHAN_SWEEP_BATCH_SIZE) || 100;
+const DRY_RUN = process.env.ORPHAN_SWEEP_DRY_RUN === "true";
+// a claim older than this was left behind by a crashed sweep
+const STALE_CLAIM_MS = 60 * 60 * 1000;
+// most ids the usage lookups of the other services take at once
+const USAGE_LOOKUP_BATCH_SIZE = 100;
+
+const LOCK_KEY = "orphan-sweep:lock";
+const LAST_RUN_KEY = "orphan-sweep:last-run";
+
+// Uploads nothing refers to once the grace period is over. Media uploaded
+// before attachments were tracked has no attachments field and is left alone
+const orphanFilter = (now) => ({
+  attachments: { $size: 0 },
+  createdAt: { $lt: new Date(now - GRACE_PERIOD_MS) },
+  $or: [
+    { purgingAt: null },
+    { purgingAt: { $lt: new Date(now - STALE_CLAIM_MS) } },
+  ],
+});
+
+// The attachments are synced from events, and events sent while media-service
+// was down are lost. So post-service and identity-service are asked which
+// candidates they still use before anything is deleted. Resolves to the ids
+// of those, which get their attachments back unless it's a dry run
+async function findUsedMedia(candidates, { dryRun }) {
+  const ids = candidates.map((media) => media._id.toString());
+  const used = new Set();
+
+  for (let i = 0; i < ids.length; i += USAGE_LOOKUP_BATCH_SIZE) {
+    const batch = ids.slice(i, i + USAGE_LOOKUP_BATCH_SIZE);
+    const [postUsage, avatarUsage] = await Promise.all([
+      getPostMediaUsage(batch),
+      getAvatarUsage(batch),
+    ]);
+    const attachments = [
+      ...postUsage.map(({ mediaId, postId }) => ({
+        mediaId,
+        kind: "post",
+        refId: postId,
+      })),
+      ...avatarUsage.map(({ mediaId, userId }) => ({
+        mediaId,
+        kind: "avatar",
+        refId: userId,
+      })),
+    ];
+
+    for (const { mediaId, kind, refId } of attachments) {
+      used.add(mediaId);
+      if (!dryRun) {
+        await Media.updateOne(
+          { _id: mediaId },
+          { $addToSet: { attachments: { kind, refId } } }
+        );
+      }
+      logger.warn(
+        `Orphan sweep found media ${mediaId} still used by ${kind} ${refId}`
+      );
+    }
+  }
+  return used;
+}
+
+// deletes one orphan, unless it got attached in the meantime
+async function purgeMedia(candidate, now) {
+  const media = await Media.findOneAndUpdate(
+    { _id: candidate._id, ...orphanFilter(now) },
+    { $set: { purgingAt: new Date() } },
+    { new: true }
+  );
+  if (!media) {
+    return false;
+  }
+
+  try {
+    await removeMediaFiles(media);
+  } catch (error) {
+    await Media.updateOne({ _id: media._id }, { $set: { purgingAt: null } });
+    throw error;
+  }
+
+  await Media.deleteOne({ _id: media._id });
+  await PurgedMedia.create({
+    mediaId: media._id,
+    publicId: media.publicId,
+    userId: media.userId,
+    originalName: media.originalName,
+    mimeType: media.mimeType,
+    bytes: media.bytes || 0,
+    uploadedAt: media.createdAt,
+  });
+  await publishEvent(
+    "media.deleted",
+    JSON.stringify({
+      mediaId: media._id.toString(),
+      userId: media.userId.toString(),
+      attachments: [],
+    })
+  );
+  return true;
+}
+
+// One pass over at most BATCH_SIZE orphans. Resolves to the run summary,
+// or null when another instance holds the lock
+async function sweepOrphanedMedia({ dryRun = DRY_RUN } = {}) {
+  const lockId = crypto.randomUUID();
+  const locked = await redisClient.set(
+    LOCK_KEY,
+    lockId,
+    "PX",
+    SWEEP_INTERVAL_MS,
+    "NX"
+  );
+  if (!locked) {
+    logger.info("Orphan sweep skipped, another instance is running it");
+    return null;
+  }
+
+  const now = Date.now();
+  const run = {
+    startedAt: new Date(now),
+    dryRun,
+    candidates: 0,
+    stillUsed: 0,
+    purged: 0,
+    failed: 0,
+    bytesReclaimed: 0,
+  };
+
+  try {
+    const candidates = await Media.find(orphanFilter(now))
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE);
+    run.candidates = candidates.length;
+    const used = await findUsedMedia(candidates, { dryRun });
+    run.stillUsed = used.size;
+
+    for (const media of candidates) {
+      if (used.has(media._id.toString())) {
+        continue;
+      }
+      if (dryRun) {
+        logger.info(`Orphan sweep (dry run) would purge media ${media._id}`);
+        continue;
+      }
+      try {
+        if (await purgeMedia(media, now)) {
+          run.purged += 1;
+          run.bytesReclaimed += media.bytes || 0;
+          logger.info(`Orphan sweep purged media ${media._id}`);
+        }
+      } catch (error) {
+        run.failed += 1;
+        logger.error(`Orphan sweep failed to purge media ${media._id}`, error);
+      }
+    }
+  } finally {
+    run.finishedAt = new Date();
+    await redisClient.set(LAST_RUN_KEY, JSON.stringify(run));
+    // only release our own lock
+    if ((await redisClient.get(LOCK_KEY)) === lockId) {
+      await redisClient.del(LOCK_KEY);
+    }
+  }
+
+  logger.info(
+    `Orphan sweep done: ${run.candidates} candidates, ${run.purged} purged, ${run.failed} failed${dryRun ? " (dry run)" : ""}`
+  );
+  return run;
+}
+
+// totals over everything ever purged plus the last run of any instance
+async function getSweeperMetrics() {
+  const [totals] = await PurgedMedia.aggregate([
+    {
+      $group: {
+        _id: null,
+        purged: { $sum: 1 },
+        bytesReclaimed: { $sum: "$bytes" },
+        lastPurgedAt: { $max: "$createdAt" },
+      },
+    },
+  ]);
+  const lastRun = await redisClient.get(LAST_RUN_KEY);
+
+  return {
+    config: {
+      intervalMinutes: SWEEP_INTERVAL_MS / 60000,
+      gracePeriodHours: GRACE_PERIOD_MS / 3600000,
+      batchSize: BATCH_SIZE,
+      dryRun: DRY_RUN,
+    },
+    totals: {
+      purged: totals?.purged || 0,
+      bytesReclaimed: totals?.bytesReclaimed || 0,
+      lastPurgedAt: totals?.lastPurgedAt || null,
+    },
+    pendingOrphans: await Media.countDocuments(orphanFilter(Date.now())),
+    lastRun: lastRun ? JSON.parse(lastRun) : null,
+  };
+}
+
+function startOrphanSweeper() {
+  if (process.env.ORPHAN_SWEEP_ENABLED === "false") {
+    logger.info("Orphan sweeper disabled");
+    return null;
+  }
+
+  const sweep = () =>
+    sweepOrphanedMedia().catch((error) =>
+      logger.error("Orphan sweep failed", error)
+    );
+  logger.info(
+    `Orphan sweeper runs every ${SWEEP_INTERVAL_MS / 60000} minutes${DRY_RUN ? " in dry run mode" : ""}`
+  );
+  return setInterval(sweep, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+  sweepOrphanedMedia,
+  getSweeperMetrics,
+  startOrphanSweeper,
+};
@@ -0,0 +1,64 @@
+const Media = require("../models/Media");
+const {
+  MAX_PROCESSING_ATTEMPTS,
+  failProcessing,
+  handleMediaUploaded,
+} = require("../eventHandlers/media-event-handler");
+const logger = require("../utils/logger");
+
+const RETRY_INTERVAL_MS =
+  (parseInt(process.env.PROCESSING_RETRY_INTERVAL_MINUTES) || 5) * 60 * 1000;
+// processing that takes longer than this was cut off by a crashed instance
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Processes images again that are still pending a while after their upload
+// or last failed attempt, including those whose media.uploaded was never
+// published, and those a crashed instance left processing. Every instance
+// runs it, the claim in handleMediaUploaded keeps them apart
+async function retryPendingMedia() {
+  const now = Date.now();
+
+  const stale = await Media.find({
+    processingStatus: "processing",
+    updatedAt: { $lt: new Date(now - STALE_PROCESSING_MS) },
+  }).limit(BATCH_SIZE);
+  for (const media of stale) {
+    if (media.processingAttempts >= MAX_PROCESSING_ATTEMPTS) {
+      await failProcessing(media);
+    } else {
+      await Media.updateOne(
+        { _id: media._id, processingStatus: "processing" },
+        { $set: { processingStatus: "pending" } }
+      );
+    }
+  }
+
+  const pending = await Media.find({
+    processingStatus: "pending",
+    updatedAt: { $lt: new Date(now - RETRY_INTERVAL_MS) },
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE)
+    .select("_id");
+  for (const media of pending) {
+    await handleMediaUploaded({ mediaId: media._id.toString() });
+  }
+  if (pending.length > 0) {
+    logger.info(`Retried processing of ${pending.length} media`);
+  }
+  return pending.length;
+}
+
+function startProcessingRetry() {
+  const retry = () =>
+    retryPendingMedia().catch((error) =>
+      logger.error("Processing retry failed", error)
+    );
+  return setInterval(retry, RETRY_INTERVAL_MS);
+}
+
+module.exports = {
+  retryPendingMedia,
+  startProcessingRetry,
+};
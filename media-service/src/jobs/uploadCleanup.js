@@ -0,0 +1,34 @@
+const UploadSession = require("../models/UploadSession");
+const { removeTempFile } = require("../utils/resumableUpload");
+const logger = require("../utils/logger");
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// deletes expired upload sessions together with the chunks they collected
+async function cleanupExpiredUploads() {
+  const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } })
+    .select("_id")
+    .limit(500);
+  for (const session of expired) {
+    await removeTempFile(session._id);
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+  if (expired.length > 0) {
+    logger.info(`Removed ${expired.length} expired upload sessions`);
+  }
+  return expired.length;
+}
+
+function startUploadCleanup() {
+  const cleanup = () =>
+    cleanupExpiredUploads().catch((error) =>
+      logger.error("Upload cleanup failed", error)
+    );
+  cleanup();
+  return setInterval(cleanup, CLEANUP_INTERVAL_MS);
+}
+
+module.exports = {
+  cleanupExpiredUploads,
+  startUploadCleanup,
+};
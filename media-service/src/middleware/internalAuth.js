@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+// Guards the /internal routes other services call directly, they are not
+// proxied by the api-gateway. Callers send the shared INTERNAL_API_TOKEN
+const internalRequest = (req, res, next) => {
+  const expected = process.env.INTERNAL_API_TOKEN;
+  const provided = req.headers["x-internal-token"] || "";
+
+  if (!expected) {
+    logger.error("INTERNAL_API_TOKEN is not set, rejecting internal request");
+    return res.status(503).json({
+      success: false,
+      message: "Internal API is not configured",
+    });
+  }
+
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  const valid =
+    providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+  if (!valid) {
+    logger.warn("Internal API access attempt with an invalid token");
+    return res.status(401).json({
+      success: false,
+      message: "Invalid internal token",
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  internalRequest,
+};
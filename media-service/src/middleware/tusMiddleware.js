@@ -0,0 +1,21 @@
+const TUS_VERSION = "1.0.0";
+
+// tus protocol version, sent with every response of the upload endpoints.
+// Requests may leave Tus-Resumable out, plain HTTP clients work as well
+const tusResumable = (req, res, next) => {
+  res.set("Tus-Resumable", TUS_VERSION);
+  const requested = req.headers["tus-resumable"];
+  if (requested && requested !== TUS_VERSION) {
+    res.set("Tus-Version", TUS_VERSION);
+    return res.status(412).json({
+      success: false,
+      message: `Unsupported tus version, use ${TUS_VERSION}`,
+    });
+  }
+  next();
+};
+
+module.exports = {
+  TUS_VERSION,
+  tusResumable,
+};
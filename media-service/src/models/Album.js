@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const MAX_ALBUM_ITEMS = 50;
+
+// one media item of an album, items are shown in array order
+const albumItemSchema = new mongoose.Schema(
+  {
+    mediaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      required: true,
+    },
+    caption: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const albumSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    items: {
+      type: [albumItemSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+albumSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+albumSchema.index({ "items.mediaId": 1 });
+
+const Album = mongoose.model("Album", albumSchema);
+
+module.exports = Album;
+module.exports.MAX_ALBUM_ITEMS = MAX_ALBUM_ITEMS;
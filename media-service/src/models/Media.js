@@ -1,11 +1,47 @@
 const mongoose = require("mongoose");
+const { STORAGE_BACKENDS } = require("../storage");
+
+// where a media item is used, kept up to date from post and user events and
+// the album endpoints. Media without attachments is an orphaned upload
+const attachmentSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["post", "avatar", "album"],
+      required: true,
+    },
+    refId: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// one stored version of a processed image
+const renditionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    bytes: { type: Number },
+  },
+  { _id: false }
+);
 
 const mediaSchema = new mongoose.Schema(
   {
+    // key of the file in its storage backend
     publicId: {
       type: String,
       required: true,
     },
+    storage: {
+      type: String,
+      enum: STORAGE_BACKENDS,
+      default: "cloudinary",
+    },
     originalName: {
       type: String,
       required: true,
@@ -23,6 +59,47 @@ const mediaSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // images and videos only
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+    bytes: {
+      type: Number,
+    },
+    // images are processed after the upload (see handleMediaUploaded), until
+    // then url points at the file as it was uploaded
+    processingStatus: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "ready",
+    },
+    processingAttempts: {
+      type: Number,
+      default: 0,
+    },
+    processedAt: {
+      type: Date,
+    },
+    renditions: {
+      thumbnail: renditionSchema,
+      medium: renditionSchema,
+      original: renditionSchema,
+    },
+    blurhash: {
+      type: String,
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    // set while the orphan sweeper deletes the item
+    purgingAt: {
+      type: Date,
+      default: null,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -31,6 +108,26 @@ const mediaSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// newest-first listings with cursor pagination
+mediaSchema.index({ createdAt: -1, _id: -1 });
+mediaSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+mediaSchema.index({ "attachments.kind": 1, "attachments.refId": 1 });
+
+// images still pending or retried by the processing retry job
+mediaSchema.index({ processingStatus: 1, updatedAt: 1 });
+
+// the file as uploaded may still carry EXIF data, GPS position included, so
+// clients only get a URL (or the key it is made of) once processing is done
+mediaSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (ret.processingStatus !== "ready") {
+      ret.url = null;
+      delete ret.publicId;
+    }
+    return ret;
+  },
+});
+
 const Media = mongoose.model("Media", mediaSchema);
 
 module.exports = Media;
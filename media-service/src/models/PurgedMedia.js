@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// record of every media item removed by the orphan sweeper
+const purgedMediaSchema = new mongoose.Schema(
+  {
+    mediaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    publicId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    originalName: {
+      type: String,
+    },
+    mimeType: {
+      type: String,
+    },
+    bytes: {
+      type: Number,
+      default: 0,
+    },
+    uploadedAt: {
+      type: Date,
+    },
+    reason: {
+      type: String,
+      enum: ["orphaned"],
+      default: "orphaned",
+    },
+  },
+  { timestamps: true }
+);
+
+purgedMediaSchema.index({ createdAt: -1 });
+purgedMediaSchema.index({ userId: 1, createdAt: -1 });
+
+const PurgedMedia = mongoose.model("PurgedMedia", purgedMediaSchema);
+
+module.exports = PurgedMedia;
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// a resumable upload in progress, its bytes are collected in a temp file
+// until offset reaches length
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    length: {
+      type: Number,
+      required: true,
+    },
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // "sha256 <base64 digest>" of the whole file, checked on completion
+    checksum: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "completed", "failed"],
+      default: "uploading",
+    },
+    mediaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ userId: 1, status: 1, expiresAt: 1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
+
+module.exports = UploadSession;
@@ -0,0 +1,20 @@
+const express = require("express");
+const {
+  createAlbum,
+  getAlbums,
+  getAlbum,
+  updateAlbum,
+  deleteAlbum,
+} = require("../controllers/album-controller");
+const { authenticatedRequest } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+router.use(authenticatedRequest);
+
+router.post("/", createAlbum);
+router.get("/", getAlbums);
+router.get("/:albumId", getAlbum);
+router.patch("/:albumId", updateAlbum);
+router.delete("/:albumId", deleteAlbum);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require("express");
+const { serveLocalFile } = require("../controllers/media-controller");
+
+// files of the local disk backend, public like cloudinary delivery URLs
+const router = express.Router();
+
+router.get("/*key", serveLocalFile);
+
+module.exports = router;
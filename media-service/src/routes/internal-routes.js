@@ -0,0 +1,19 @@
+const express = require("express");
+const {
+  lookupMedia,
+  getAlbum,
+  getOrphanSweeperMetrics,
+  runOrphanSweeper,
+} = require("../controllers/internal-media-controller");
+const { internalRequest } = require("../middleware/internalAuth");
+
+// service to service endpoints, not exposed through the api-gateway
+const router = express.Router();
+router.use(internalRequest);
+
+router.post("/lookup", lookupMedia);
+router.get("/albums/:albumId", getAlbum);
+router.get("/orphan-sweeper/metrics", getOrphanSweeperMetrics);
+router.post("/orphan-sweeper/run", runOrphanSweeper);
+
+module.exports = router;
@@ -2,44 +2,100 @@ const express = require("express");
 const multer = require("multer");
 
 const logger = require("../utils/logger");
-const { uploadMedia, getAllMedia } = require("../controllers/media-controller");
+const {
+  uploadMedia,
+  uploadManyMedia,
+  getAllMedia,
+  getMedia,
+  deleteMedia,
+  getSignedMediaUrl,
+} = require("../controllers/media-controller");
 const { authenticatedRequest } = require("../middleware/authMiddleware");
 
 const router = express.Router();
 
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 1024 * 1024 * 5, // 5MB
-  },
-}).single("file");
+const MAX_FILE_SIZE_MB = 5;
+const MAX_FILES_PER_UPLOAD = 10;
 
-router.post(
-  "/upload",
-  authenticatedRequest,
-  (req, res, next) => {
-    upload(req, res, function (err) {
+// what went wrong, for the multer errors a client can fix
+const multerErrorResponse = (err, field, maxFiles) => {
+  switch (err.code) {
+    case "LIMIT_FILE_SIZE":
+      return {
+        status: 413,
+        message: `File too large, the limit is ${MAX_FILE_SIZE_MB}MB. Use resumable uploads for larger files`,
+      };
+    case "LIMIT_UNEXPECTED_FILE":
+      return {
+        status: 400,
+        message: `Unexpected field "${err.field}", send the ${maxFiles === 1 ? "file" : "files"} in the "${field}" field`,
+      };
+    case "LIMIT_FILE_COUNT":
+      return {
+        status: 400,
+        message:
+          maxFiles === 1
+            ? "Too many files, send one file"
+            : `Too many files, send at most ${maxFiles}`,
+      };
+    default:
+      return { status: 400, message: err.message };
+  }
+};
+
+// multipart parsing into memory, req.file for one file and req.files otherwise
+const parseFiles = (field, maxFiles) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: 1024 * 1024 * MAX_FILE_SIZE_MB,
+      files: maxFiles,
+    },
+  });
+  const parse =
+    maxFiles === 1 ? upload.single(field) : upload.array(field, maxFiles);
+
+  return (req, res, next) => {
+    parse(req, res, function (err) {
       if (err instanceof multer.MulterError) {
-        logger.error("Multer error while uploading file", err);
-        return res
-          .status(400)
-          .json({ error: "Multer error while uploading file" });
+        logger.warn("Multer error while uploading file", err);
+        const { status, message } = multerErrorResponse(err, field, maxFiles);
+        return res.status(status).json({ success: false, message });
       } else if (err) {
         logger.error("Error while uploading file", err);
-        return res.status(500).json({ error: "Error while uploading file" });
+        return res
+          .status(500)
+          .json({ success: false, message: "Error while uploading file" });
       }
 
-      if (!req.file) {
+      if (!req.file && !req.files?.length) {
         logger.error("No file found in request");
-        return res.status(400).json({ error: "No file found" });
+        return res
+          .status(400)
+          .json({ success: false, message: "No file found" });
       }
 
       next();
     });
-  },
+  };
+};
+
+router.post(
+  "/upload",
+  authenticatedRequest,
+  parseFiles("file", 1),
   uploadMedia
 );
+router.post(
+  "/upload-many",
+  authenticatedRequest,
+  parseFiles("files", MAX_FILES_PER_UPLOAD),
+  uploadManyMedia
+);
 
 router.get("/get-all-media", authenticatedRequest, getAllMedia);
+router.get("/:id/signed-url", authenticatedRequest, getSignedMediaUrl);
+router.get("/:id", authenticatedRequest, getMedia);
+router.delete("/:id", authenticatedRequest, deleteMedia);
 
 module.exports = router;
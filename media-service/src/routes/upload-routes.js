@@ -0,0 +1,23 @@
+const express = require("express");
+const {
+  createUpload,
+  getUploadOffset,
+  getUpload,
+  uploadChunk,
+  cancelUpload,
+} = require("../controllers/upload-controller");
+const { authenticatedRequest } = require("../middleware/authMiddleware");
+const { tusResumable } = require("../middleware/tusMiddleware");
+
+// resumable uploads, compatible with the tus 1.0 core protocol plus the
+// creation and termination extensions
+const router = express.Router();
+router.use(tusResumable, authenticatedRequest);
+
+router.post("/", createUpload);
+router.head("/:uploadId", getUploadOffset);
+router.get("/:uploadId", getUpload);
+router.patch("/:uploadId", uploadChunk);
+router.delete("/:uploadId", cancelUpload);
+
+module.exports = router;
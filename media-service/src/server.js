@@ -11,9 +11,22 @@ const { RedisStore } = require("rate-limit-redis");
 const logger = require("./utils/logger");
 const ConnectToDB = require("./database/db");
 const mediaRoutes = require("./routes/media-routes");
+const fileRoutes = require("./routes/file-routes");
+const uploadRoutes = require("./routes/upload-routes");
+const albumRoutes = require("./routes/album-routes");
+const internalRoutes = require("./routes/internal-routes");
 const { errorHandler } = require("./middleware/errorHandler");
 const { connectToRabbitMQ, consumeEvent } = require("./utils/rabbitmq");
-const { handlePostDeleted } = require("./eventHandlers/media-event-handler");
+const {
+  handlePostDeleted,
+  handlePostMediaChanged,
+  handleUserUpdated,
+  handleMediaUploaded,
+} = require("./eventHandlers/media-event-handler");
+const { startOrphanSweeper } = require("./jobs/orphanSweeper");
+const { startUploadCleanup } = require("./jobs/uploadCleanup");
+const { startProcessingRetry } = require("./jobs/processingRetry");
+const { getStorage } = require("./storage");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -52,17 +65,32 @@ const sensitiveEndpoints = rateLimit({
   }),
 });
 
+// files are loaded by every feed, so they skip the sensitive rate limit
+app.use("/api/media/files", fileRoutes);
+// a large upload takes many chunk requests, sessions are limited per user instead
+app.use("/api/media/uploads", uploadRoutes);
+app.use("/api/media/albums", sensitiveEndpoints, albumRoutes);
 app.use("/api/media", sensitiveEndpoints, mediaRoutes);
+app.use("/internal/media", internalRoutes);
 
 async function startServer() {
   try {
+    // fails fast on an unknown MEDIA_STORAGE
+    logger.info(`New media is stored in ${getStorage().name}`);
     await connectToRabbitMQ();
 
     // consume all the events
     await consumeEvent("post.delete", handlePostDeleted);
+    await consumeEvent("post.created", handlePostMediaChanged);
+    await consumeEvent("post.updated", handlePostMediaChanged);
+    await consumeEvent("user.updated", handleUserUpdated);
+    await consumeEvent("media.uploaded", handleMediaUploaded);
     app.listen(PORT, () => {
       logger.info(`Media Service is running on port ${PORT}`);
     });
+    startOrphanSweeper();
+    startUploadCleanup();
+    startProcessingRetry();
   } catch (error) {
     logger.error("Failed to connect to RabbitMQ", error);
     process.exit(1);
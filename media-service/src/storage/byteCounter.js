@@ -0,0 +1,17 @@
+const { Transform } = require("stream");
+
+// pass-through stream that counts what flows through it in .bytes
+const createByteCounter = () => {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  counter.bytes = 0;
+  return counter;
+};
+
+module.exports = {
+  createByteCounter,
+};
@@ -0,0 +1,93 @@
+const cloudinary = require("cloudinary").v2;
+const logger = require("../utils/logger");
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// cloudinary keeps images, videos and everything else ("raw") apart
+const resourceType = (mimeType = "") => {
+  if (mimeType.startsWith("image/")) {
+    return "image";
+  }
+  if (mimeType.startsWith("video/") || mimeType.startsWith("audio/")) {
+    return "video";
+  }
+  return "raw";
+};
+
+// format part of the download URL, raw files keep theirs in the public id
+const fileFormat = (mimeType) => {
+  if (resourceType(mimeType) === "raw") {
+    return "";
+  }
+  const subtype = mimeType.split("/")[1];
+  return { jpeg: "jpg", quicktime: "mov", mpeg: "mp3" }[subtype] || subtype;
+};
+
+const upload = (source, { mimeType } = {}) => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      { resource_type: resourceType(mimeType) },
+      (error, result) => {
+        if (error) {
+          logger.error("Error during Cloudinary upload stream", error);
+          reject(error);
+        } else {
+          resolve({
+            key: result.public_id,
+            url: result.secure_url,
+            width: result.width,
+            height: result.height,
+            bytes: result.bytes,
+          });
+        }
+      }
+    );
+
+    source.on("error", (err) => {
+      logger.error("Error in source stream during Cloudinary upload", err);
+      reject(err);
+    });
+    source.pipe(uploadStream);
+  });
+};
+
+const remove = async (key, { mimeType } = {}) => {
+  try {
+    const result = await cloudinary.uploader.destroy(key, {
+      resource_type: resourceType(mimeType),
+    });
+    logger.info("Media deleted successfully from cloud storage", key);
+    return result;
+  } catch (e) {
+    logger.error("Error deleting media from Cloudinary", e);
+    throw e;
+  }
+};
+
+// delivery URL with a signature and an expiry, cloudinary checks both
+const getSignedUrl = async (key, { mimeType = "", expiresIn = 3600 } = {}) =>
+  cloudinary.utils.private_download_url(key, fileFormat(mimeType), {
+    resource_type: resourceType(mimeType),
+    type: "upload",
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+  });
+
+const download = async (key, { mimeType } = {}) => {
+  const response = await fetch(await getSignedUrl(key, { mimeType }));
+  if (!response.ok) {
+    throw new Error(`Cloudinary download failed with ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+module.exports = {
+  name: "cloudinary",
+  upload,
+  download,
+  remove,
+  getSignedUrl,
+};
@@ -0,0 +1,45 @@
+// Storage backends share one interface:
+//   upload(readableStream, { userId, mimeType })
+//     -> { key, url, bytes, width?, height? }
+//   download(key, { mimeType }) -> Buffer
+//   remove(key, { mimeType })
+//   getSignedUrl(key, { mimeType, expiresIn }) -> time limited URL, left out
+//     by backends whose files are only public (local)
+// MEDIA_STORAGE picks the one new uploads go to, every Media document
+// records its own backend in `storage`
+const adapters = {
+  cloudinary: () => require("./cloudinary"),
+  local: () => require("./local"),
+  s3: () => require("./s3"),
+};
+
+const STORAGE_BACKENDS = Object.keys(adapters);
+const DEFAULT_STORAGE = process.env.MEDIA_STORAGE || "cloudinary";
+
+// adapters are loaded on first use, so only the configured SDKs are needed
+const getStorage = (name = DEFAULT_STORAGE) => {
+  const load = adapters[name];
+  if (!load) {
+    throw new Error(`Unknown media storage backend ${name}`);
+  }
+  return load();
+};
+
+// deletes the stored file of a Media document along with its renditions
+const removeMediaFiles = async (media) => {
+  const storage = getStorage(media.storage);
+  const { thumbnail, medium, original } = media.renditions || {};
+  const keys = new Set(
+    [media.publicId, thumbnail?.key, medium?.key, original?.key].filter(Boolean)
+  );
+  for (const key of keys) {
+    await storage.remove(key, { mimeType: media.mimeType });
+  }
+};
+
+module.exports = {
+  STORAGE_BACKENDS,
+  DEFAULT_STORAGE,
+  getStorage,
+  removeMediaFiles,
+};
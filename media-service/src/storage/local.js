@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const logger = require("../utils/logger");
+const { createByteCounter } = require("./byteCounter");
+const { extensionFor } = require("../utils/fileType");
+
+const STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || "uploads");
+// where the files route of this service is reachable for clients
+const PUBLIC_URL =
+  process.env.MEDIA_PUBLIC_URL || "http://localhost:3000/v1/media/files";
+
+// keys come back in requests, so they must never leave the storage dir
+const resolvePath = (key) => {
+  const filePath = path.resolve(STORAGE_DIR, key);
+  if (!filePath.startsWith(STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key ${key}`);
+  }
+  return filePath;
+};
+
+// the extension follows the detected type, files are served by extension
+const upload = async (source, { userId, mimeType }) => {
+  const key = `${userId}/${crypto.randomUUID()}${extensionFor(mimeType)}`;
+  const filePath = resolvePath(key);
+  const counter = createByteCounter();
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await pipeline(source, counter, fs.createWriteStream(filePath));
+  } catch (error) {
+    // nothing refers to a partly written file, not even the orphan sweeper
+    await fs.promises.rm(filePath, { force: true });
+    logger.error(`Error writing media to local storage ${key}`, error);
+    throw error;
+  }
+
+  return {
+    key,
+    url: `${PUBLIC_URL}/${key}`,
+    bytes: counter.bytes,
+  };
+};
+
+const download = async (key) => fs.promises.readFile(resolvePath(key));
+
+const remove = async (key) => {
+  await fs.promises.rm(resolvePath(key), { force: true });
+  logger.info(`Media deleted successfully from local storage ${key}`);
+};
+
+module.exports = {
+  name: "local",
+  upload,
+  download,
+  remove,
+  resolvePath,
+};
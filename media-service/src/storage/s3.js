@@ -0,0 +1,76 @@
+const {
+  S3Client,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+const { getSignedUrl: presignUrl } = require("@aws-sdk/s3-request-presigner");
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const { createByteCounter } = require("./byteCounter");
+const { extensionFor } = require("../utils/fileType");
+
+// any S3-compatible object storage, MinIO locally (see docker-compose.yml)
+const BUCKET = process.env.S3_BUCKET || "media";
+const client = new S3Client({
+  region: process.env.S3_REGION || "us-east-1",
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  // MinIO serves buckets under the path instead of a subdomain
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+  credentials: process.env.S3_ACCESS_KEY_ID
+    ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      }
+    : undefined,
+});
+const PUBLIC_URL =
+  process.env.S3_PUBLIC_URL ||
+  `${process.env.S3_ENDPOINT || `https://${BUCKET}.s3.amazonaws.com`}/${BUCKET}`;
+
+const upload = async (source, { userId, mimeType }) => {
+  const key = `${userId}/${crypto.randomUUID()}${extensionFor(mimeType)}`;
+  const counter = createByteCounter();
+  source.on("error", (err) => counter.destroy(err));
+
+  await new Upload({
+    client,
+    params: {
+      Bucket: BUCKET,
+      Key: key,
+      Body: source.pipe(counter),
+      ContentType: mimeType,
+    },
+  }).done();
+
+  return {
+    key,
+    url: `${PUBLIC_URL}/${key}`,
+    bytes: counter.bytes,
+  };
+};
+
+const download = async (key) => {
+  const { Body } = await client.send(
+    new GetObjectCommand({ Bucket: BUCKET, Key: key })
+  );
+  return Buffer.from(await Body.transformToByteArray());
+};
+
+const remove = async (key) => {
+  await client.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+  logger.info(`Media deleted successfully from object storage ${key}`);
+};
+
+const getSignedUrl = async (key, { expiresIn = 3600 } = {}) =>
+  presignUrl(client, new GetObjectCommand({ Bucket: BUCKET, Key: key }), {
+    expiresIn,
+  });
+
+module.exports = {
+  name: "s3",
+  upload,
+  download,
+  remove,
+  getSignedUrl,
+};
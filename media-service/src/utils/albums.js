@@ -0,0 +1,46 @@
+const Album = require("../models/Album");
+const Media = require("../models/Media");
+
+// ids of the items that don't exist or belong to someone else, both are
+// reported the same way
+const findMissingMedia = async (items, userId) => {
+  const ids = items.map((item) => item.mediaId);
+  const owned = await Media.find({
+    _id: { $in: ids },
+    userId,
+    purgingAt: null,
+  }).select("_id");
+  const ownedIds = new Set(owned.map((media) => media._id.toString()));
+  return ids.filter((id) => !ownedIds.has(id));
+};
+
+// albums with the media document of every item
+const withMedia = async (albums) => {
+  const ids = albums.flatMap((album) =>
+    album.items.map((item) => item.mediaId)
+  );
+  const media = await Media.find({ _id: { $in: ids } });
+  const mediaById = new Map(media.map((item) => [item._id.toString(), item]));
+
+  return albums.map((album) => ({
+    ...album.toObject(),
+    items: album.items.map((item) => ({
+      mediaId: item.mediaId,
+      caption: item.caption,
+      media: mediaById.get(item.mediaId.toString()) || null,
+    })),
+  }));
+};
+
+// deleted media leaves the albums it was in
+const removeFromAlbums = (mediaId) =>
+  Album.updateMany(
+    { "items.mediaId": mediaId },
+    { $pull: { items: { mediaId } } }
+  );
+
+module.exports = {
+  findMissingMedia,
+  withMedia,
+  removeFromAlbums,
+};
@@ -0,0 +1,21 @@
+const Media = require("../models/Media");
+
+// attaches the given media of the user to a post, avatar or album and detaches
+// everything else attached to it
+const syncAttachments = async ({ kind, refId, userId, mediaIds }) => {
+  const attachment = { kind, refId };
+  await Media.updateMany(
+    { _id: { $nin: mediaIds }, userId, attachments: attachment },
+    { $pull: { attachments: attachment } }
+  );
+  if (mediaIds.length > 0) {
+    await Media.updateMany(
+      { _id: { $in: mediaIds }, userId },
+      { $addToSet: { attachments: attachment } }
+    );
+  }
+};
+
+module.exports = {
+  syncAttachments,
+};
@@ -0,0 +1,147 @@
+// Real file types, detected from the first bytes of the file instead of the
+// name or the Content-Type the client sent
+const SNIFF_BYTES = 4100;
+
+const TYPES = {
+  "image/jpeg": { category: "image", extension: ".jpg" },
+  "image/png": { category: "image", extension: ".png" },
+  "image/gif": { category: "image", extension: ".gif" },
+  "image/webp": { category: "image", extension: ".webp" },
+  "image/avif": { category: "image", extension: ".avif" },
+  "image/heic": { category: "image", extension: ".heic" },
+  "image/tiff": { category: "image", extension: ".tiff" },
+  "video/mp4": { category: "video", extension: ".mp4" },
+  "video/quicktime": { category: "video", extension: ".mov" },
+  "video/webm": { category: "video", extension: ".webm" },
+  "video/x-matroska": { category: "video", extension: ".mkv" },
+  "video/x-msvideo": { category: "video", extension: ".avi" },
+  "video/3gpp": { category: "video", extension: ".3gp" },
+  "audio/mpeg": { category: "audio", extension: ".mp3" },
+  "audio/mp4": { category: "audio", extension: ".m4a" },
+  "audio/ogg": { category: "audio", extension: ".ogg" },
+  "audio/wav": { category: "audio", extension: ".wav" },
+  "audio/flac": { category: "audio", extension: ".flac" },
+};
+
+const parseAllowlist = (value, fallback) =>
+  (value ?? fallback)
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+
+// Set a variable to an empty value to reject the whole category. HEIC is off
+// by default, image processing can't read it to strip its EXIF data
+const ALLOWED_TYPES = {
+  image: parseAllowlist(
+    process.env.ALLOWED_IMAGE_TYPES,
+    "image/jpeg,image/png,image/gif,image/webp,image/avif"
+  ),
+  video: parseAllowlist(
+    process.env.ALLOWED_VIDEO_TYPES,
+    "video/mp4,video/quicktime,video/webm"
+  ),
+  audio: parseAllowlist(
+    process.env.ALLOWED_AUDIO_TYPES,
+    "audio/mpeg,audio/mp4,audio/ogg,audio/wav,audio/flac"
+  ),
+};
+
+// fixed bytes at the start of the file
+const SIGNATURES = [
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    mimeType: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] },
+  { mimeType: "image/tiff", bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: "image/tiff", bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: "audio/ogg", bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimeType: "audio/flac", bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { mimeType: "audio/mpeg", bytes: [0x49, 0x44, 0x33] },
+];
+
+// RIFF containers name their format at byte 8
+const RIFF_FORMATS = {
+  WEBP: "image/webp",
+  WAVE: "audio/wav",
+  "AVI ": "video/x-msvideo",
+};
+
+// ISO base media files (mp4, mov, avif, heic, m4a) name their brand after
+// "ftyp", brands not listed here are mp4 video
+const ISO_BRANDS = {
+  avif: "image/avif",
+  avis: "image/avif",
+  heic: "image/heic",
+  heix: "image/heic",
+  mif1: "image/heic",
+  msf1: "image/heic",
+  "qt  ": "video/quicktime",
+  "M4A ": "audio/mp4",
+  "M4B ": "audio/mp4",
+  "3gp4": "video/3gpp",
+  "3gp5": "video/3gpp",
+};
+
+const ascii = (buffer, start, end) =>
+  buffer.subarray(start, end).toString("latin1");
+
+// resolves the mime type from the magic bytes, null when unknown
+const detectMimeType = (buffer) => {
+  const signature = SIGNATURES.find(({ bytes }) =>
+    bytes.every((byte, i) => buffer[i] === byte)
+  );
+  if (signature) {
+    return signature.mimeType;
+  }
+  if (ascii(buffer, 0, 4) === "RIFF") {
+    return RIFF_FORMATS[ascii(buffer, 8, 12)] || null;
+  }
+  if (ascii(buffer, 4, 8) === "ftyp") {
+    return ISO_BRANDS[ascii(buffer, 8, 12)] || "video/mp4";
+  }
+  // EBML header, the doc type tells webm and matroska apart
+  if (ascii(buffer, 0, 4) === "\x1a\x45\xdf\xa3") {
+    return ascii(buffer, 0, 64).includes("webm")
+      ? "video/webm"
+      : "video/x-matroska";
+  }
+  // mpeg layer III frame sync, mp3 files without an ID3 tag
+  if (buffer[0] === 0xff && (buffer[1] & 0xe6) === 0xe2) {
+    return "audio/mpeg";
+  }
+  return null;
+};
+
+const extensionFor = (mimeType) => TYPES[mimeType]?.extension || "";
+
+const isAllowedType = (mimeType) => {
+  const category = TYPES[mimeType]?.category;
+  return Boolean(category) && ALLOWED_TYPES[category].includes(mimeType);
+};
+
+// Detects the type of an upload and checks it against the allowlist.
+// Resolves to { mimeType, category, extension } or { error } for a 415
+const checkFileType = (buffer) => {
+  const mimeType = detectMimeType(buffer.subarray(0, SNIFF_BYTES));
+  if (!mimeType) {
+    return {
+      error: "Unsupported file type, upload an image, video or audio file",
+    };
+  }
+  if (!isAllowedType(mimeType)) {
+    return { error: `Files of type ${mimeType} are not allowed` };
+  }
+  return { mimeType, ...TYPES[mimeType] };
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  ALLOWED_TYPES,
+  detectMimeType,
+  extensionFor,
+  isAllowedType,
+  checkFileType,
+};
@@ -0,0 +1,32 @@
+const logger = require("./logger");
+
+const IDENTITY_SERVICE_URL =
+  process.env.IDENTITY_SERVICE_URL || "http://localhost:3001";
+
+// { mediaId, userId } for every user with one of the given media as avatar,
+// from identity-service's internal API
+const getAvatarUsage = async (mediaIds) => {
+  const response = await fetch(
+    `${IDENTITY_SERVICE_URL}/internal/users/avatar-usage`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-internal-token": process.env.INTERNAL_API_TOKEN || "",
+      },
+      body: JSON.stringify({ mediaIds }),
+    }
+  );
+  if (!response.ok) {
+    logger.error(`Avatar usage lookup failed with status ${response.status}`);
+    throw new Error(
+      `Avatar usage lookup failed with status ${response.status}`
+    );
+  }
+  const { usage } = await response.json();
+  return usage;
+};
+
+module.exports = {
+  getAvatarUsage,
+};
@@ -0,0 +1,74 @@
+const sharp = require("sharp");
+const { encode } = require("blurhash");
+
+// formats sharp can both read and write, anything else (gif, svg, videos)
+// is kept as uploaded
+const PROCESSABLE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/avif",
+  "image/tiff",
+];
+
+// resized renditions are webp, the original keeps its format and size
+const RESIZED_RENDITIONS = {
+  thumbnail: { width: 320, height: 320, fit: "cover" },
+  medium: { width: 1080, height: 1080, fit: "inside" },
+};
+
+const isProcessable = (mimeType) => PROCESSABLE_TYPES.includes(mimeType);
+
+const toRendition = ({ data, info }, mimeType) => ({
+  buffer: data,
+  mimeType,
+  width: info.width,
+  height: info.height,
+  bytes: info.size,
+});
+
+// small placeholder clients draw while the image loads
+const createBlurhash = async (image) => {
+  const { data, info } = await image
+    .clone()
+    .resize(32, 32, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+// Re-encodes the image into every rendition. sharp writes no EXIF or other
+// metadata unless asked to, rotate() first applies the EXIF orientation so
+// the stripped images aren't sideways
+const createRenditions = async (buffer, { mimeType }) => {
+  const image = sharp(buffer, { failOn: "error" }).rotate();
+  const { format } = await sharp(buffer).metadata();
+
+  const renditions = {
+    original: toRendition(
+      await image
+        .clone()
+        .toFormat(format)
+        .toBuffer({ resolveWithObject: true }),
+      mimeType
+    ),
+  };
+  for (const [name, size] of Object.entries(RESIZED_RENDITIONS)) {
+    renditions[name] = toRendition(
+      await image
+        .clone()
+        .resize({ ...size, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true }),
+      "image/webp"
+    );
+  }
+
+  return { renditions, blurhash: await createBlurhash(image) };
+};
+
+module.exports = {
+  isProcessable,
+  createRenditions,
+};
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const Redis = require("ioredis");
+const Media = require("../models/Media");
+const UploadSession = require("../models/UploadSession");
+const { getStorage } = require("../storage");
+const { isProcessable } = require("./imageProcessing");
+const { publishEvent } = require("./rabbitmq");
+const logger = require("./logger");
+
+const redisClient = new Redis(process.env.REDIS_URL);
+
+const MB = 1024 * 1024;
+const USER_STORAGE_QUOTA_BYTES =
+  (parseInt(process.env.USER_STORAGE_QUOTA_MB) || 5120) * MB;
+// a reservation left behind by a crashed request runs out after this
+const QUOTA_RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+// bytes a user has stored plus what their unfinished uploads will add
+const getUsedBytes = async (userId) => {
+  const [stored] = await Media.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, bytes: { $sum: "$bytes" } } },
+  ]);
+  const [reserved] = await UploadSession.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        status: "uploading",
+        expiresAt: { $gt: new Date() },
+      },
+    },
+    { $group: { _id: null, bytes: { $sum: "$length" } } },
+  ]);
+  return (stored?.bytes || 0) + (reserved?.bytes || 0);
+};
+
+const quotaReservationKey = (userId) => `quota-reserved:${userId}`;
+
+// Reserves bytes of the user's quota until they are counted by
+// getUsedBytes, as Media or an upload session. The reservation is taken
+// before the check, so parallel requests see each other's bytes and can't
+// pass the quota together. Resolves to false, reserving nothing, when the
+// bytes don't fit
+const reserveQuota = async (userId, bytes) => {
+  const key = quotaReservationKey(userId);
+  const reserved = await redisClient.incrby(key, bytes);
+  await redisClient.pexpire(key, QUOTA_RESERVATION_TTL_MS);
+  if ((await getUsedBytes(userId)) + reserved > USER_STORAGE_QUOTA_BYTES) {
+    await releaseQuota(userId, bytes);
+    return false;
+  }
+  return true;
+};
+
+const releaseQuota = (userId, bytes) =>
+  redisClient.decrby(quotaReservationKey(userId), bytes);
+
+// Hands a complete upload to the storage backend and creates its Media.
+// Images are processed afterwards by the media.uploaded consumer, after a
+// failed publish the processing retry job picks them up
+const storeMedia = async (source, { userId, originalName, mimeType }) => {
+  const storage = getStorage();
+  logger.info(`Uploading file to ${storage.name} for user ${userId}`);
+
+  const uploadResult = await storage.upload(source, { userId, mimeType });
+  logger.info(
+    `Upload to ${storage.name} successful. Key : - ${uploadResult.key}`
+  );
+
+  const media = await Media.create({
+    publicId: uploadResult.key,
+    storage: storage.name,
+    originalName,
+    mimeType,
+    url: uploadResult.url,
+    userId,
+    width: uploadResult.width,
+    height: uploadResult.height,
+    bytes: uploadResult.bytes,
+    processingStatus: isProcessable(mimeType) ? "pending" : "ready",
+  });
+
+  try {
+    await publishEvent(
+      "media.uploaded",
+      JSON.stringify({ mediaId: media._id.toString(), userId, mimeType })
+    );
+  } catch (error) {
+    logger.error("Error publishing media.uploaded event", error);
+  }
+
+  return media;
+};
+
+module.exports = {
+  USER_STORAGE_QUOTA_BYTES,
+  reserveQuota,
+  releaseQuota,
+  storeMedia,
+};
@@ -0,0 +1,34 @@
+const logger = require("./logger");
+
+const POST_SERVICE_URL =
+  process.env.POST_SERVICE_URL || "http://localhost:3002";
+
+// { mediaId, postId } for every post using one of the given media, from
+// post-service's internal API
+const getPostMediaUsage = async (mediaIds) => {
+  const response = await fetch(
+    `${POST_SERVICE_URL}/internal/posts/media-usage`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-internal-token": process.env.INTERNAL_API_TOKEN || "",
+      },
+      body: JSON.stringify({ mediaIds }),
+    }
+  );
+  if (!response.ok) {
+    logger.error(
+      `Post media usage lookup failed with status ${response.status}`
+    );
+    throw new Error(
+      `Post media usage lookup failed with status ${response.status}`
+    );
+  }
+  const { usage } = await response.json();
+  return usage;
+};
+
+module.exports = {
+  getPostMediaUsage,
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// chunks of resumable uploads are appended here until the upload is complete.
+// A session can only continue on the instance (or shared volume) holding it
+const UPLOAD_TEMP_DIR = path.resolve(
+  process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), "media-uploads")
+);
+
+const tempFilePath = (sessionId) =>
+  path.join(UPLOAD_TEMP_DIR, `${sessionId}.part`);
+
+const createTempFile = async (sessionId) => {
+  await fs.promises.mkdir(UPLOAD_TEMP_DIR, { recursive: true });
+  await fs.promises.writeFile(tempFilePath(sessionId), "", { flag: "wx" });
+};
+
+const removeTempFile = (sessionId) =>
+  fs.promises.rm(tempFilePath(sessionId), { force: true });
+
+// tus Upload-Metadata: comma separated "key base64value" pairs
+const parseUploadMetadata = (header = "") =>
+  Object.fromEntries(
+    header
+      .split(",")
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const [key, value = ""] = pair.split(" ");
+        return [key, Buffer.from(value, "base64").toString("utf8")];
+      })
+  );
+
+// Appends the request body to the temp file and resolves to the new offset.
+// A body running past the declared length is rejected and dropped, an
+// interrupted one keeps whatever arrived so the client can resume from there
+const writeChunk = async (req, session) => {
+  const filePath = tempFilePath(session._id);
+  const remaining = session.length - session.offset;
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        const error = new Error("Chunk exceeds the upload length");
+        error.code = "UPLOAD_LENGTH_EXCEEDED";
+        return callback(error);
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(
+      req,
+      limiter,
+      fs.createWriteStream(filePath, { flags: "a" })
+    );
+  } catch (error) {
+    if (error.code === "UPLOAD_LENGTH_EXCEEDED") {
+      await fs.promises.truncate(filePath, session.offset);
+      throw error;
+    }
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  return size;
+};
+
+// the first bytes of the collected file, for type detection
+const readFileStart = async (sessionId, length) => {
+  const handle = await fs.promises.open(tempFilePath(sessionId), "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// checksum is "sha256 <base64 digest>" as sent in the upload metadata
+const verifyChecksum = async (sessionId, checksum) => {
+  const [, expected] = checksum.split(" ");
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(tempFilePath(sessionId)), hash);
+  const actual = hash.digest();
+  const expectedBuffer = Buffer.from(expected, "base64");
+  return (
+    actual.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(actual, expectedBuffer)
+  );
+};
+
+module.exports = {
+  UPLOAD_TEMP_DIR,
+  tempFilePath,
+  createTempFile,
+  removeTempFile,
+  parseUploadMetadata,
+  writeChunk,
+  readFileStart,
+  verifyChecksum,
+};
@@ -0,0 +1,102 @@
+const Joi = require("joi");
+const { MAX_ALBUM_ITEMS } = require("../models/Album");
+
+const objectId = Joi.string().hex().length(24);
+
+const validationMediaLookup = (data) => {
+  const schema = Joi.object({
+    ids: Joi.array().items(objectId).min(1).max(50).required(),
+  });
+  return schema.validate(data);
+};
+
+// expiresIn is in seconds, at most a day
+const validationSignedUrl = (data) => {
+  const schema = Joi.object({
+    id: objectId.required(),
+    expiresIn: Joi.number().integer().min(60).max(86400).default(3600),
+  });
+  return schema.validate(data);
+};
+
+// get-all-media filters, mimeType is exact ("image/png") or a whole
+// category ("image/*")
+const validationMediaQuery = (data) => {
+  const schema = Joi.object({
+    mimeType: Joi.string()
+      .pattern(/^[a-z]+\/([\w.+-]+|\*)$/)
+      .messages({
+        "string.pattern.base":
+          '"mimeType" must be a type like "image/png" or "image/*"',
+      }),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    attached: Joi.boolean(),
+  });
+  return schema.validate(data);
+};
+
+const validationDeleteMedia = (data) => {
+  const schema = Joi.object({
+    id: objectId.required(),
+    force: Joi.boolean().default(false),
+  });
+  return schema.validate(data);
+};
+
+// resumable upload creation, from the Upload-Length and Upload-Metadata headers
+const validationUploadSession = (data) => {
+  const schema = Joi.object({
+    length: Joi.number().integer().min(1).required(),
+    filename: Joi.string().trim().min(1).max(255).required(),
+    filetype: Joi.string()
+      .pattern(/^[\w.+-]+\/[\w.+-]+$/)
+      .default("application/octet-stream"),
+    checksum: Joi.string()
+      .pattern(/^sha256 [A-Za-z0-9+/]{43}=$/)
+      .messages({
+        "string.pattern.base":
+          '"checksum" must be "sha256 " followed by the base64 digest',
+      }),
+  });
+  return schema.validate(data);
+};
+
+// the full list in display order, replaces the previous one on update
+const albumItems = Joi.array()
+  .items(
+    Joi.object({
+      mediaId: objectId.required(),
+      caption: Joi.string().trim().max(500).allow(""),
+    })
+  )
+  .max(MAX_ALBUM_ITEMS)
+  .unique("mediaId");
+
+const validationCreateAlbum = (data) => {
+  const schema = Joi.object({
+    title: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().trim().max(1000).allow(""),
+    items: albumItems.default([]),
+  });
+  return schema.validate(data);
+};
+
+const validationUpdateAlbum = (data) => {
+  const schema = Joi.object({
+    title: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().max(1000).allow(""),
+    items: albumItems,
+  }).or("title", "description", "items");
+  return schema.validate(data);
+};
+
+module.exports = {
+  validationMediaLookup,
+  validationCreateAlbum,
+  validationUpdateAlbum,
+  validationSignedUrl,
+  validationMediaQuery,
+  validationDeleteMedia,
+  validationUploadSession,
+};
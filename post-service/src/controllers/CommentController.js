@@ -0,0 +1,306 @@
+const logger = require("../utils/logger");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const {
+  validationCreateComment,
+  validationUpdateComment,
+  validationCommentList,
+} = require("../utils/validation");
+const { publishEvent } = require("../utils/rabbitmq");
+const { invalidatePostCache } = require("../utils/cache");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  encodeRankedCursor,
+  decodeRankedCursor,
+  rankedCursorFilter,
+  parseLimit,
+} = require("../utils/cursor");
+
+// deepest reply level allowed, top level comments are depth 0 and 0 allows
+// no replies at all
+const configuredMaxDepth = parseInt(process.env.COMMENT_MAX_DEPTH);
+const COMMENT_MAX_DEPTH = Number.isNaN(configuredMaxDepth)
+  ? 3
+  : configuredMaxDepth;
+
+// counters are not edits, leave updatedAt alone
+const incrementCounter = (Model, id, field, amount) =>
+  Model.updateOne(
+    { _id: id },
+    { $inc: { [field]: amount } },
+    { timestamps: false }
+  );
+
+async function findById(Model, id) {
+  try {
+    return await Model.findById(id);
+  } catch (error) {
+    if (error.name === "CastError") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// paginated comments sharing the same parent (null for top level)
+async function listComments(req, res, { postId, parentId }) {
+  const { error, value } = validationCommentList(req.query);
+  if (error) {
+    logger.warn("Validation error : ", error.details[0].message);
+    return res
+      .status(400)
+      .json({ success: false, message: error.details[0].message });
+  }
+
+  const limit = parseLimit(value.limit);
+  const isTop = value.sort === "top";
+  const cursor = isTop
+    ? decodeRankedCursor(value.cursor)
+    : decodeCursor(value.cursor);
+  if (value.cursor && !cursor) {
+    return res.status(400).json({ success: false, message: "Invalid cursor" });
+  }
+
+  const filter = {
+    post: postId,
+    parent: parentId,
+    ...(isTop
+      ? rankedCursorFilter(cursor, "replyCount")
+      : cursorFilter(cursor)),
+  };
+  const sort = isTop
+    ? { replyCount: -1, createdAt: -1, _id: -1 }
+    : { createdAt: -1, _id: -1 };
+
+  const comments = await Comment.find(filter)
+    .sort(sort)
+    .limit(limit + 1);
+
+  const hasMore = comments.length > limit;
+  const page = comments.slice(0, limit);
+  const last = page[page.length - 1];
+
+  let nextCursor = null;
+  if (hasMore) {
+    nextCursor = isTop
+      ? encodeRankedCursor(last, "replyCount")
+      : encodeCursor(last);
+  }
+
+  return res.json({
+    success: true,
+    message: "Comments fetched successfully",
+    comments: page,
+    nextCursor,
+    hasMore,
+  });
+}
+
+const createComment = async (req, res) => {
+  try {
+    const { error } = validationCreateComment(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const post = await findById(Post, req.params.postId);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    const { content, parentId } = req.body;
+    let parent = null;
+    if (parentId) {
+      parent = await findById(Comment, parentId);
+      if (!parent || !parent.post.equals(post._id)) {
+        return res.status(404).json({
+          success: false,
+          message: "Parent comment not found",
+        });
+      }
+      if (parent.depth + 1 > COMMENT_MAX_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies can only be nested ${COMMENT_MAX_DEPTH} levels deep`,
+        });
+      }
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      user: req.user,
+      parent: parent?._id || null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      depth: parent ? parent.depth + 1 : 0,
+      content,
+    });
+
+    await incrementCounter(Post, post._id, "commentCount", 1);
+    if (parent) {
+      await incrementCounter(Comment, parent._id, "replyCount", 1);
+    }
+
+    await publishEvent(
+      "comment.created",
+      JSON.stringify({
+        commentId: comment._id.toString(),
+        postId: post._id.toString(),
+        userId: req.user,
+        parentId: parent?._id.toString() || null,
+        content: comment.content,
+        createdAt: comment.createdAt,
+      })
+    );
+    await invalidatePostCache(req, post._id.toString());
+
+    return res.status(201).json({
+      success: true,
+      message: "Comment created successfully",
+      comment,
+    });
+  } catch (error) {
+    logger.error("Error creating comment", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error creating comment" });
+  }
+};
+
+const getComments = async (req, res) => {
+  try {
+    const post = await findById(Post, req.params.postId);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    return await listComments(req, res, { postId: post._id, parentId: null });
+  } catch (error) {
+    logger.error("Error fetching comments", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching comments" });
+  }
+};
+
+const getCommentReplies = async (req, res) => {
+  try {
+    const comment = await findById(Comment, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+    }
+
+    return await listComments(req, res, {
+      postId: comment.post,
+      parentId: comment._id,
+    });
+  } catch (error) {
+    logger.error("Error fetching comment replies", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching comment replies" });
+  }
+};
+
+const updateComment = async (req, res) => {
+  try {
+    const { error } = validationUpdateComment(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    // loaded and ownership-checked by authorizeOwnership
+    const comment = req.resource;
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await publishEvent(
+      "comment.updated",
+      JSON.stringify({
+        commentId: comment._id.toString(),
+        postId: comment.post.toString(),
+        userId: comment.user.toString(),
+        content: comment.content,
+      })
+    );
+
+    return res.json({
+      success: true,
+      message: "Comment updated successfully",
+      comment,
+    });
+  } catch (error) {
+    logger.error("Error updating comment", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error updating comment" });
+  }
+};
+
+const deleteComment = async (req, res) => {
+  try {
+    // loaded and checked against the comment and post authors by authorizeOwnership
+    const comment = req.resource;
+
+    // removes the comment together with every reply below it
+    const threadFilter = {
+      $or: [{ _id: comment._id }, { ancestors: comment._id }],
+    };
+    const deletedIds = (
+      await Comment.find(threadFilter).select("_id").lean()
+    ).map((deleted) => deleted._id.toString());
+    const { deletedCount } = await Comment.deleteMany(threadFilter);
+
+    await incrementCounter(Post, comment.post, "commentCount", -deletedCount);
+    if (comment.parent) {
+      await incrementCounter(Comment, comment.parent, "replyCount", -1);
+    }
+
+    await publishEvent(
+      "comment.deleted",
+      JSON.stringify({
+        commentId: comment._id.toString(),
+        postId: comment.post.toString(),
+        deletedIds,
+        deletedBy: req.user,
+      })
+    );
+    await invalidatePostCache(req, comment.post.toString());
+
+    return res.json({
+      success: true,
+      message: "Comment deleted successfully",
+      deletedCount,
+    });
+  } catch (error) {
+    logger.error("Error deleting comment", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error deleting comment" });
+  }
+};
+
+module.exports = {
+  createComment,
+  getComments,
+  getCommentReplies,
+  updateComment,
+  deleteComment,
+};
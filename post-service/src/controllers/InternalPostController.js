@@ -0,0 +1,42 @@
+const Post = require("../models/Post");
+const logger = require("../utils/logger");
+const { validationMediaUsage } = require("../utils/validation");
+
+// which of the given media are used by posts, media-service checks this
+// before it deletes media it believes to be orphaned
+const getMediaUsage = async (req, res) => {
+  try {
+    const { error } = validationMediaUsage(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const { mediaIds } = req.body;
+    const posts = await Post.find({ mediaIds: { $in: mediaIds } }).select(
+      "_id mediaIds"
+    );
+    const usage = posts.flatMap((post) =>
+      post.mediaIds
+        .filter((mediaId) => mediaIds.includes(mediaId))
+        .map((mediaId) => ({ mediaId, postId: post._id.toString() }))
+    );
+
+    return res.json({
+      success: true,
+      message: "Media usage fetched successfully",
+      usage,
+    });
+  } catch (error) {
+    logger.error("Error fetching media usage", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching media usage" });
+  }
+};
+
+module.exports = {
+  getMediaUsage,
+};
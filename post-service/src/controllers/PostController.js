@@ -1,19 +1,87 @@
 const logger = require("../utils/logger");
 const Post = require("../models/Post");
-const { validationCreatePost } = require("../utils/validation");
-const Redis = require("ioredis");
+const {
+  MAX_MEDIA_PER_POST,
+  validationCreatePost,
+  validationUpdatePost,
+} = require("../utils/validation");
 const { publishEvent } = require("../utils/rabbitmq");
+const { invalidatePostCache } = require("../utils/cache");
+const { decoratePosts, decoratePost } = require("../utils/decoratePosts");
+const { getAuthor } = require("../utils/authors");
+const {
+  resolveOwnedMedia,
+  resolveOwnedAlbum,
+  refreshPendingMedia,
+} = require("../utils/postMedia");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+} = require("../utils/cursor");
 
-const redisClient = new Redis(process.env.REDIS_URL);
+// checks that every media id exists and was uploaded by the post author,
+// sends the error response and resolves to null otherwise
+const resolveMediaOrRespond = async (res, mediaIds, authorId) => {
+  let result;
+  try {
+    result = await resolveOwnedMedia(mediaIds, authorId);
+  } catch (error) {
+    logger.error("Error resolving post media", error);
+    res.status(502).json({
+      success: false,
+      message: "Unable to verify the media, please try again later",
+    });
+    return null;
+  }
+
+  if (result.missingIds) {
+    logger.warn(`Media not found for user ${authorId}`, result.missingIds);
+    res.status(400).json({
+      success: false,
+      message: "Some media could not be found",
+      missingMediaIds: result.missingIds,
+    });
+    return null;
+  }
+  return result.media;
+};
+
+// the album's media ids and snapshots, sends the error response and resolves
+// to null when the album can't be attached
+const resolveAlbumOrRespond = async (res, albumId, authorId) => {
+  let album;
+  try {
+    album = await resolveOwnedAlbum(albumId, authorId);
+  } catch (error) {
+    logger.error("Error resolving post album", error);
+    res.status(502).json({
+      success: false,
+      message: "Unable to verify the album, please try again later",
+    });
+    return null;
+  }
 
-async function invalidatePostCache(req, input) {
-  const cachedKey = `post:${input}`;
-  await req.redisClient.del(cachedKey);
-  const keys = await req.redisClient.keys("posts:*");
-  if (keys.length > 0) {
-    await req.redisClient.del(keys);
+  if (!album || album.media.length === 0) {
+    logger.warn(`Album ${albumId} not found or empty for user ${authorId}`);
+    res.status(400).json({
+      success: false,
+      message: album ? "Album has no media" : "Album not found",
+    });
+    return null;
+  }
+  // albums hold more media than a post, the post couldn't be edited back to it
+  if (album.media.length > MAX_MEDIA_PER_POST) {
+    logger.warn(`Album ${albumId} has too many media for a post`);
+    res.status(400).json({
+      success: false,
+      message: `Only albums with up to ${MAX_MEDIA_PER_POST} media can be posted`,
+    });
+    return null;
   }
-}
+  return album;
+};
 
 const createPost = async (req, res) => {
   try {
@@ -24,17 +92,35 @@ const createPost = async (req, res) => {
         .status(400)
         .json({ success: false, message: error.details[0].message });
     }
-    const { content, mediaIds } = req.body;
+    const { content, albumId } = req.body;
+
+    let mediaIds = req.body.mediaIds || [];
+    let media;
+    if (albumId) {
+      const album = await resolveAlbumOrRespond(res, albumId, req.user);
+      if (!album) {
+        return;
+      }
+      ({ mediaIds, media } = album);
+    } else {
+      media = await resolveMediaOrRespond(res, mediaIds, req.user);
+      if (!media) {
+        return;
+      }
+    }
 
     const newlyCreatedPost = new Post({
       user: req.user,
       content,
-      mediaIds: mediaIds || [],
+      mediaIds,
+      media,
+      albumId: albumId || null,
     });
 
     await newlyCreatedPost.save();
+    const createdPost = await refreshPendingMedia(newlyCreatedPost);
 
-    // Publish post created event
+    // Publish post created event, with the author for search-service
     await publishEvent(
       "post.created",
       JSON.stringify({
@@ -42,6 +128,9 @@ const createPost = async (req, res) => {
         userId: req.user.toString(),
         content: newlyCreatedPost.content,
         mediaIds: newlyCreatedPost.mediaIds,
+        albumId: newlyCreatedPost.albumId,
+        createdAt: newlyCreatedPost.createdAt,
+        author: await getAuthor(req.user),
       })
     );
 
@@ -50,7 +139,7 @@ const createPost = async (req, res) => {
     return res.status(201).json({
       success: true,
       message: "Post created successfully",
-      post: newlyCreatedPost,
+      post: await decoratePost(createdPost, req.user),
     });
   } catch (error) {
     logger.error("Error creating post", error);
@@ -62,33 +151,44 @@ const createPost = async (req, res) => {
 
 const getAllPosts = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const startLimit = (page - 1) * limit;
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid cursor" });
+    }
 
-    // cache key
-    const cacheKey = `posts:${page}:${limit}`;
-    const cachedPosts = await redisClient.get(cacheKey);
+    // cache key, still matched by the posts:* invalidation
+    const cacheKey = `posts:${req.user}:${req.query.cursor || "first"}:${limit}`;
+    const cachedPosts = await req.redisClient.get(cacheKey);
 
     if (cachedPosts) {
+      const result = JSON.parse(cachedPosts);
       return res.status(200).json({
         success: true,
         message: "Posts fetched successfully",
-        posts: JSON.parse(cachedPosts),
+        posts: {
+          ...result,
+          posts: await decoratePosts(result.posts, req.user),
+        },
       });
     }
 
-    const posts = await Post.find({ user: req.user })
-      .sort({ createdAt: -1 })
-      .skip(startLimit)
-      .limit(limit);
+    // one extra post tells us whether there is a next page
+    const posts = await Post.find({ user: req.user, ...cursorFilter(cursor) })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
 
-    const totalNoOfPosts = await Post.countDocuments();
+    const hasMore = posts.length > limit;
+    const page = posts.slice(0, limit);
+    const totalNoOfPosts = await Post.countDocuments({ user: req.user });
 
     const result = {
-      posts,
-      currentPage: page,
-      totalPages: Math.ceil(totalNoOfPosts / limit),
+      posts: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+      limit,
       totalNoOfPosts,
     };
 
@@ -98,7 +198,10 @@ const getAllPosts = async (req, res) => {
     return res.status(200).json({
       success: true,
       message: "Posts fetched successfully",
-      posts: result,
+      posts: {
+        ...result,
+        posts: await decoratePosts(page, req.user),
+      },
     });
   } catch (error) {
     logger.error("Error fetching posts", error);
@@ -115,7 +218,11 @@ const getPost = async (req, res) => {
     const cachedPost = await req.redisClient.get(cachekey);
 
     if (cachedPost) {
-      return res.json(JSON.parse(cachedPost));
+      return res.json({
+        success: true,
+        message: "Post fetched successfully",
+        post: await decoratePost(JSON.parse(cachedPost), req.user),
+      });
     }
 
     const singlePostDetailsById = await Post.findById(postId);
@@ -136,7 +243,7 @@ const getPost = async (req, res) => {
     return res.json({
       success: true,
       message: "Post fetched successfully",
-      post: singlePostDetailsById,
+      post: await decoratePost(singlePostDetailsById, req.user),
     });
   } catch (error) {
     logger.error("Error fetching post", error);
@@ -149,23 +256,18 @@ const getPost = async (req, res) => {
 const deletePost = async (req, res) => {
   try {
     const postId = req.params.id;
-    const post = await Post.findOneAndDelete({
-      _id: postId,
-    });
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: "Post not found",
-      });
-    }
+    // loaded and ownership-checked by authorizeOwnership
+    const post = req.resource;
+    await Post.deleteOne({ _id: post._id });
 
-    // Publish post delete method
+    // Publish post delete method, userId is always the author so consumers
+    // never touch someone else's data when an admin deletes the post
     await publishEvent(
       "post.delete",
       JSON.stringify({
         postId: post._id.toString(),
-        userId: req.user,
+        userId: post.user.toString(),
+        deletedBy: req.user,
         mediaIds: post.mediaIds,
       })
     );
@@ -184,9 +286,123 @@ const deletePost = async (req, res) => {
   }
 };
 
+const updatePost = async (req, res) => {
+  try {
+    const { error } = validationUpdatePost(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const postId = req.params.id;
+    // loaded and ownership-checked by authorizeOwnership
+    const post = req.resource;
+
+    const { content, mediaIds } = req.body;
+    const editedAt = new Date();
+
+    // the media must belong to the author, also when an admin edits the post
+    let media = post.media;
+    if (mediaIds) {
+      media = await resolveMediaOrRespond(res, mediaIds, post.user);
+      if (!media) {
+        return;
+      }
+    }
+
+    // only apply the edit if nobody else changed the post since we read it
+    let updatedPost = await Post.findOneAndUpdate(
+      { _id: post._id, updatedAt: post.updatedAt },
+      {
+        $set: {
+          content: content ?? post.content,
+          mediaIds: mediaIds ?? post.mediaIds,
+          media,
+          // picking media by hand replaces the album
+          albumId: mediaIds ? null : post.albumId,
+          editedAt,
+        },
+        $push: {
+          revisions: {
+            content: post.content,
+            mediaIds: post.mediaIds,
+            editedAt,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updatedPost) {
+      return res.status(409).json({
+        success: false,
+        message: "Post was modified by another request, please try again",
+      });
+    }
+    updatedPost = await refreshPendingMedia(updatedPost);
+
+    // Publish post updated event
+    await publishEvent(
+      "post.updated",
+      JSON.stringify({
+        postId: updatedPost._id.toString(),
+        userId: updatedPost.user.toString(),
+        content: updatedPost.content,
+        mediaIds: updatedPost.mediaIds,
+        editedAt: updatedPost.editedAt,
+        author: await getAuthor(updatedPost.user),
+      })
+    );
+
+    await invalidatePostCache(req, postId);
+
+    return res.json({
+      success: true,
+      message: "Post updated successfully",
+      post: await decoratePost(updatedPost, req.user),
+    });
+  } catch (error) {
+    logger.error("Error updating post", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error updating post" });
+  }
+};
+
+const getPostHistory = async (req, res) => {
+  try {
+    // loaded with its revisions by authorizeOwnership
+    const post = req.resource;
+
+    return res.json({
+      success: true,
+      message: "Post history fetched successfully",
+      history: {
+        postId: post._id,
+        current: {
+          content: post.content,
+          mediaIds: post.mediaIds,
+          editedAt: post.editedAt || post.createdAt,
+        },
+        // newest revision first
+        revisions: [...post.revisions].reverse(),
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching post history", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching post history" });
+  }
+};
+
 module.exports = {
   createPost,
   getAllPosts,
   getPost,
+  updatePost,
+  getPostHistory,
   deletePost,
 };
@@ -0,0 +1,219 @@
+const logger = require("../utils/logger");
+const Post = require("../models/Post");
+const Reaction = require("../models/Reaction");
+const {
+  validationReaction,
+  validationReactionList,
+} = require("../utils/validation");
+const { publishEvent } = require("../utils/rabbitmq");
+const { invalidatePostCache } = require("../utils/cache");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+} = require("../utils/cursor");
+
+async function findPost(postId) {
+  try {
+    return await Post.findById(postId).select("_id user");
+  } catch (error) {
+    if (error.name === "CastError") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function publishReaction(post, userId, type, previousType) {
+  let action = "changed";
+  if (!type) {
+    action = "removed";
+  } else if (!previousType) {
+    action = "added";
+  }
+
+  await publishEvent(
+    "post.reacted",
+    JSON.stringify({
+      postId: post._id.toString(),
+      postAuthorId: post.user.toString(),
+      userId,
+      type,
+      previousType,
+      action,
+    })
+  );
+}
+
+const reactToPost = async (req, res) => {
+  try {
+    const { error } = validationReaction(req.body);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const post = await findPost(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    const { type } = req.body;
+
+    // atomically swap the reaction and get the one it replaced, so the
+    // counters stay correct when requests for the same user race
+    const previous = await Reaction.findOneAndUpdate(
+      { post: post._id, user: req.user },
+      { $set: { type } },
+      { upsert: true, new: false }
+    );
+    const previousType = previous?.type || null;
+
+    if (previousType !== type) {
+      const counterUpdate = { [`reactionCounts.${type}`]: 1 };
+      if (previousType) {
+        counterUpdate[`reactionCounts.${previousType}`] = -1;
+      }
+      // counters are not an edit of the post, leave updatedAt alone
+      await Post.updateOne(
+        { _id: post._id },
+        { $inc: counterUpdate },
+        { timestamps: false }
+      );
+
+      await publishReaction(post, req.user, type, previousType);
+      await invalidatePostCache(req, post._id.toString());
+    }
+
+    const { reactionCounts } = await Post.findById(post._id).select(
+      "reactionCounts"
+    );
+
+    return res.status(previousType ? 200 : 201).json({
+      success: true,
+      message: "Reaction saved successfully",
+      reaction: type,
+      reactionCounts,
+    });
+  } catch (error) {
+    logger.error("Error reacting to post", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error reacting to post" });
+  }
+};
+
+const removeReaction = async (req, res) => {
+  try {
+    const post = await findPost(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    const removed = await Reaction.findOneAndDelete({
+      post: post._id,
+      user: req.user,
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "You have not reacted to this post",
+      });
+    }
+
+    await Post.updateOne(
+      { _id: post._id },
+      { $inc: { [`reactionCounts.${removed.type}`]: -1 } },
+      { timestamps: false }
+    );
+    await publishReaction(post, req.user, null, removed.type);
+    await invalidatePostCache(req, post._id.toString());
+
+    return res.json({
+      success: true,
+      message: "Reaction removed successfully",
+    });
+  } catch (error) {
+    logger.error("Error removing reaction", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error removing reaction" });
+  }
+};
+
+const getPostReactions = async (req, res) => {
+  try {
+    const { error } = validationReactionList(req.query);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid cursor" });
+    }
+
+    const post = await findPost(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    const filter = { post: post._id, ...cursorFilter(cursor) };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const reactions = await Reaction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = reactions.length > limit;
+    const page = reactions.slice(0, limit);
+    const { reactionCounts } = await Post.findById(post._id).select(
+      "reactionCounts"
+    );
+
+    return res.json({
+      success: true,
+      message: "Reactions fetched successfully",
+      reactions: page.map((reaction) => ({
+        userId: reaction.user,
+        type: reaction.type,
+        reactedAt: reaction.createdAt,
+      })),
+      reactionCounts,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error("Error fetching reactions", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching reactions" });
+  }
+};
+
+module.exports = {
+  reactToPost,
+  removeReaction,
+  getPostReactions,
+};
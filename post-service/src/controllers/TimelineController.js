@@ -0,0 +1,104 @@
+const logger = require("../utils/logger");
+const Post = require("../models/Post");
+const { decoratePosts } = require("../utils/decoratePosts");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+} = require("../utils/cursor");
+const {
+  readTimeline,
+  rebuildTimeline,
+  getFollowedAuthors,
+} = require("../utils/timeline");
+
+const newestFirst = (a, b) =>
+  b.createdAt - a.createdAt || b._id.toString().localeCompare(a._id.toString());
+
+const getHomeTimeline = async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    if (req.query.cursor && !cursor) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid cursor" });
+    }
+
+    const userId = req.user;
+    // one extra item tells us whether there is a next page
+    const wanted = limit + 1;
+    const { regular, highFollower } = await getFollowedAuthors(userId);
+    const fannedOutAuthors = [userId, ...regular];
+    const olderThanCursor = cursorFilter(cursor);
+
+    // fan-out-on-write: ids pushed into the cached timeline
+    let cachedIds = await readTimeline(userId, cursor, wanted * 2);
+    if (cachedIds === null) {
+      await rebuildTimeline(userId, fannedOutAuthors);
+      cachedIds = await readTimeline(userId, cursor, wanted * 2);
+    }
+
+    // filtering by author drops posts of accounts unfollowed since caching
+    const candidates = await Post.find({
+      _id: { $in: cachedIds || [] },
+      user: { $in: fannedOutAuthors },
+      ...olderThanCursor,
+    });
+
+    // the cache is capped, read past its end straight from the database
+    if (candidates.length < wanted) {
+      const olderPosts = await Post.find({
+        user: { $in: fannedOutAuthors },
+        ...olderThanCursor,
+      })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(wanted);
+      candidates.push(...olderPosts);
+    }
+
+    // fan-out-on-read for high-follower accounts
+    if (highFollower.length > 0) {
+      const highFollowerPosts = await Post.find({
+        user: { $in: highFollower },
+        ...olderThanCursor,
+      })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(wanted);
+      candidates.push(...highFollowerPosts);
+    }
+
+    const seen = new Set();
+    const merged = candidates
+      .filter((post) => {
+        const id = post._id.toString();
+        if (seen.has(id)) {
+          return false;
+        }
+        seen.add(id);
+        return true;
+      })
+      .sort(newestFirst);
+
+    const posts = merged.slice(0, limit);
+    const hasMore = merged.length > limit;
+
+    return res.status(200).json({
+      success: true,
+      message: "Timeline fetched successfully",
+      posts: await decoratePosts(posts, userId),
+      nextCursor: hasMore ? encodeCursor(posts[posts.length - 1]) : null,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error("Error fetching timeline", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching timeline" });
+  }
+};
+
+module.exports = {
+  getHomeTimeline,
+};
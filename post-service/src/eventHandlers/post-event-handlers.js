@@ -0,0 +1,164 @@
+const Follow = require("../models/Follow");
+const FollowStats = require("../models/FollowStats");
+const Reaction = require("../models/Reaction");
+const Comment = require("../models/Comment");
+const Post = require("../models/Post");
+const logger = require("../utils/logger");
+const { saveAuthor } = require("../utils/authors");
+const { invalidatePostCache } = require("../utils/cache");
+const {
+  fanOutPost,
+  removePostFromTimelines,
+  backfillTimeline,
+} = require("../utils/timeline");
+
+async function updateFollowerCount(userId, followerCount) {
+  if (typeof followerCount !== "number") {
+    return;
+  }
+  await FollowStats.updateOne(
+    { user: userId },
+    { $set: { followers: followerCount } },
+    { upsert: true }
+  );
+}
+
+async function handlePostCreated(event) {
+  logger.info("Post Service: Handling post created event initiated...");
+  try {
+    await fanOutPost({
+      postId: event.postId,
+      userId: event.userId,
+      createdAt: event.createdAt || Date.now(),
+    });
+  } catch (error) {
+    logger.error("Post Service: Error handling post created event", error);
+  }
+}
+
+async function handlePostDeleted(event) {
+  logger.info("Post Service: Handling post deleted event initiated...");
+  try {
+    await removePostFromTimelines({
+      postId: event.postId,
+      userId: event.userId,
+    });
+    await Reaction.deleteMany({ post: event.postId });
+    await Comment.deleteMany({ post: event.postId });
+  } catch (error) {
+    logger.error("Post Service: Error handling post deleted event", error);
+  }
+}
+
+async function handleUserFollowed(event) {
+  const { followerId, followingId, followerCount } = event;
+  try {
+    await Follow.updateOne(
+      { follower: followerId, following: followingId },
+      { $setOnInsert: { follower: followerId, following: followingId } },
+      { upsert: true }
+    );
+    await updateFollowerCount(followingId, followerCount);
+    await backfillTimeline(followerId, followingId);
+    logger.info(`Follow ${followerId} -> ${followingId} synced`);
+  } catch (error) {
+    logger.error("Post Service: Error handling user followed event", error);
+  }
+}
+
+// posts of the unfollowed author are filtered out of the timeline at read
+// time, so only the local graph needs updating here
+async function handleUserUnfollowed(event) {
+  const { followerId, followingId, followerCount } = event;
+  try {
+    await Follow.deleteOne({ follower: followerId, following: followingId });
+    await updateFollowerCount(followingId, followerCount);
+    logger.info(`Unfollow ${followerId} -> ${followingId} synced`);
+  } catch (error) {
+    logger.error("Post Service: Error handling user unfollowed event", error);
+  }
+}
+
+// user.created and user.updated from identity-service
+async function handleUserUpdated(event) {
+  try {
+    await saveAuthor(event);
+    logger.info(`Author ${event.userId} synced`);
+  } catch (error) {
+    logger.error("Post Service: Error handling user updated event", error);
+  }
+}
+
+// media.processed, the file the media snapshots point at was replaced by
+// its processed version
+async function handleMediaProcessed(event, redisClient) {
+  const {
+    mediaId,
+    processingStatus,
+    url,
+    width,
+    height,
+    blurhash,
+    renditions,
+  } = event;
+  try {
+    const posts = await Post.find({ "media.mediaId": mediaId }).select("_id");
+    if (posts.length === 0) {
+      return;
+    }
+
+    await Post.updateMany(
+      { "media.mediaId": mediaId },
+      {
+        $set: {
+          "media.$[item].url": url,
+          "media.$[item].processingStatus": processingStatus || "ready",
+          "media.$[item].width": width ?? null,
+          "media.$[item].height": height ?? null,
+          "media.$[item].thumbnailUrl": renditions?.thumbnail ?? null,
+          "media.$[item].blurhash": blurhash ?? null,
+        },
+      },
+      { arrayFilters: [{ "item.mediaId": mediaId }] }
+    );
+    for (const post of posts) {
+      await invalidatePostCache({ redisClient }, post._id.toString());
+    }
+    logger.info(`Updated media ${mediaId} in ${posts.length} posts`);
+  } catch (error) {
+    logger.error("Post Service: Error handling media processed event", error);
+  }
+}
+
+// media.deleted, posts drop the media, a forced delete may remove it from
+// live posts
+async function handleMediaDeleted(event, redisClient) {
+  const { mediaId } = event;
+  try {
+    const posts = await Post.find({ mediaIds: mediaId }).select("_id");
+    if (posts.length === 0) {
+      return;
+    }
+
+    await Post.updateMany(
+      { mediaIds: mediaId },
+      { $pull: { mediaIds: mediaId, media: { mediaId } } }
+    );
+    for (const post of posts) {
+      await invalidatePostCache({ redisClient }, post._id.toString());
+    }
+    logger.info(`Removed media ${mediaId} from ${posts.length} posts`);
+  } catch (error) {
+    logger.error("Post Service: Error handling media deleted event", error);
+  }
+}
+
+module.exports = {
+  handlePostCreated,
+  handleMediaProcessed,
+  handleMediaDeleted,
+  handlePostDeleted,
+  handleUserFollowed,
+  handleUserUpdated,
+  handleUserUnfollowed,
+};
@@ -12,9 +12,31 @@ const authenticatedRequest = (req, res, next) => {
   }
 
   req.user = userId;
+  // role claim from the access token, forwarded by the api gateway
+  req.userRole = req.headers["x-user-role"] || "user";
+  req.emailVerified = req.headers["x-user-email-verified"] === "true";
+  next();
+};
+
+// blocks accounts without a verified email from publishing content, when
+// REQUIRE_VERIFIED_EMAIL_TO_POST is turned on
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_TO_POST !== "true") {
+    return next();
+  }
+
+  if (!req.emailVerified) {
+    logger.warn(`Unverified user ${req.user} attempted to post`);
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address before posting",
+    });
+  }
+
   next();
 };
 
 module.exports = {
   authenticatedRequest,
+  requireVerifiedEmail,
 };
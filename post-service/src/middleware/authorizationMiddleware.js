@@ -0,0 +1,79 @@
+const logger = require("../utils/logger");
+
+const ROLES = {
+  USER: "user",
+  ADMIN: "admin",
+};
+
+const isAdmin = (req) => req.userRole === ROLES.ADMIN;
+
+const forbidden = (res, message) =>
+  res.status(403).json({
+    success: false,
+    message,
+  });
+
+// Loads the document referenced by req.params[param] and only lets its owners
+// (or an admin) through. The loaded document is exposed as req.resource.
+const authorizeOwnership = (
+  Model,
+  {
+    param = "id",
+    resourceName = "Resource",
+    action = "modify",
+    getOwnerIds = (resource) => [resource.user],
+    select,
+  } = {}
+) => {
+  return async (req, res, next) => {
+    try {
+      const query = Model.findById(req.params[param]);
+      if (select) {
+        query.select(select);
+      }
+      const resource = await query;
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${resourceName} not found`,
+        });
+      }
+
+      const ownerIds = (await getOwnerIds(resource, req))
+        .filter(Boolean)
+        .map((id) => id.toString());
+
+      if (!isAdmin(req) && !ownerIds.includes(req.user)) {
+        logger.warn(
+          `User ${req.user} is not allowed to ${action} ${resourceName} ${resource._id}`
+        );
+        return forbidden(
+          res,
+          `You are not allowed to ${action} this ${resourceName.toLowerCase()}`
+        );
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      if (error.name === "CastError") {
+        return res.status(404).json({
+          success: false,
+          message: `${resourceName} not found`,
+        });
+      }
+      logger.error(`Error authorizing access to ${resourceName}`, error);
+      return res
+        .status(500)
+        .json({ success: false, message: "Error authorizing request" });
+    }
+  };
+};
+
+module.exports = {
+  ROLES,
+  isAdmin,
+  forbidden,
+  authorizeOwnership,
+};
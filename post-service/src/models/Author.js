@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// copy of the author data owned by identity-service, kept up to date by
+// user.created / user.updated events so posts can be returned with it
+const authorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    displayName: {
+      type: String,
+    },
+    avatarUrl: {
+      type: String,
+      default: null,
+    },
+    // updatedAt of the user in identity-service, older events are ignored
+    sourceUpdatedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+const Author = mongoose.model("Author", authorSchema);
+
+module.exports = Author;
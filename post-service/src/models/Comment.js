@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const commentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // null for top level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // every comment above this one, root first. Lets us drop a whole thread
+    // with a single query
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Comment",
+      },
+    ],
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    editedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ post: 1, parent: 1, createdAt: -1, _id: -1 });
+commentSchema.index({
+  post: 1,
+  parent: 1,
+  replyCount: -1,
+  createdAt: -1,
+  _id: -1,
+});
+commentSchema.index({ ancestors: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+module.exports = Comment;
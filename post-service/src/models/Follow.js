@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// read-only copy of the social-service follow graph, kept in sync through
+// user.followed / user.unfollowed events so timelines can be built locally
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1 });
+
+const Follow = mongoose.model("Follow", followSchema);
+
+module.exports = Follow;
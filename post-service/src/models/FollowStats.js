@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// follower counts as reported by social-service, used to pick between
+// fan-out-on-write and fan-out-on-read for an author
+const followStatsSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    followers: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+followStatsSchema.index({ followers: -1 });
+
+const FollowStats = mongoose.model("FollowStats", followStatsSchema);
+
+module.exports = FollowStats;
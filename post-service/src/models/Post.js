@@ -1,4 +1,36 @@
 const mongoose = require("mongoose");
+const { REACTION_TYPES } = require("./Reaction");
+
+// one counter per reaction type, kept in sync with $inc by the reaction endpoints
+const reactionCountsSchema = new mongoose.Schema(
+  Object.fromEntries(
+    REACTION_TYPES.map((type) => [type, { type: Number, default: 0, min: 0 }])
+  ),
+  { _id: false }
+);
+
+// copy of a media item taken from media-service when it was attached
+const mediaSnapshotSchema = new mongoose.Schema(
+  {
+    mediaId: { type: String, required: true },
+    // null while media-service is still processing the image
+    url: { type: String, default: null },
+    mimeType: { type: String, required: true },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    processingStatus: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "ready",
+    },
+    // set once media-service has processed the image
+    thumbnailUrl: { type: String, default: null },
+    blurhash: { type: String, default: null },
+    // for media posted as part of an album
+    caption: { type: String, default: "" },
+  },
+  { _id: false }
+);
 
 const postSchema = new mongoose.Schema(
   {
@@ -16,6 +48,39 @@ const postSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // the media behind mediaIds, in the same order
+    media: {
+      type: [mediaSnapshotSchema],
+      default: [],
+    },
+    // media-service album the media was taken from, as it was when posted
+    albumId: {
+      type: String,
+      default: null,
+    },
+    // previous versions of the post, newest last. Only loaded for the history endpoint
+    revisions: {
+      type: [
+        {
+          content: { type: String, required: true },
+          mediaIds: [{ type: String }],
+          editedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+    editedAt: {
+      type: Date,
+    },
+    reactionCounts: {
+      type: reactionCountsSchema,
+      default: () => ({}),
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -30,6 +95,10 @@ const postSchema = new mongoose.Schema(
 
 // becuase we will be having a diff service for search, we will be indexing the context
 postSchema.index({ context: "text" });
+// per-author listings and timeline reads, newest first
+postSchema.index({ user: 1, createdAt: -1, _id: -1 });
+// posts using a media, for media-service's orphan sweeper and media.deleted
+postSchema.index({ mediaIds: 1 });
 
 const Post = mongoose.model("Post", postSchema);
 
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const REACTION_TYPES = ["like", "love", "laugh", "wow", "sad", "angry"];
+
+const reactionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// a user has at most one reaction per post
+reactionSchema.index({ post: 1, user: 1 }, { unique: true });
+reactionSchema.index({ post: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ post: 1, type: 1, createdAt: -1, _id: -1 });
+
+const Reaction = mongoose.model("Reaction", reactionSchema);
+
+module.exports = Reaction;
+module.exports.REACTION_TYPES = REACTION_TYPES;
@@ -0,0 +1,11 @@
+const express = require("express");
+const { getMediaUsage } = require("../controllers/InternalPostController");
+const { internalRequest } = require("../middleware/internalAuth");
+
+// service to service endpoints, not exposed through the api-gateway
+const router = express.Router();
+router.use(internalRequest);
+
+router.post("/media-usage", getMediaUsage);
+
+module.exports = router;
@@ -3,16 +3,91 @@ const {
   createPost,
   getAllPosts,
   getPost,
+  updatePost,
+  getPostHistory,
   deletePost,
 } = require("../controllers/PostController");
-const { authenticatedRequest } = require("../middleware/authMiddleware");
+const { getHomeTimeline } = require("../controllers/TimelineController");
+const {
+  reactToPost,
+  removeReaction,
+  getPostReactions,
+} = require("../controllers/ReactionController");
+const {
+  createComment,
+  getComments,
+  getCommentReplies,
+  updateComment,
+  deleteComment,
+} = require("../controllers/CommentController");
+const {
+  authenticatedRequest,
+  requireVerifiedEmail,
+} = require("../middleware/authMiddleware");
+const { authorizeOwnership } = require("../middleware/authorizationMiddleware");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
 
 const router = express.Router();
 router.use(authenticatedRequest);
 
-router.post("/create-post", createPost);
+router.post("/create-post", requireVerifiedEmail, createPost);
 router.get("/get-all-posts", getAllPosts);
+router.get("/timeline", getHomeTimeline);
 router.get("/get-post/:id", getPost);
-router.delete("/delete-post/:id", deletePost);
+router.put(
+  "/update-post/:id",
+  authorizeOwnership(Post, { resourceName: "Post", action: "edit" }),
+  updatePost
+);
+router.patch(
+  "/update-post/:id",
+  authorizeOwnership(Post, { resourceName: "Post", action: "edit" }),
+  updatePost
+);
+router.get(
+  "/get-post-history/:id",
+  authorizeOwnership(Post, {
+    resourceName: "Post",
+    action: "view the history of",
+    select: "+revisions",
+  }),
+  getPostHistory
+);
+router.delete(
+  "/delete-post/:id",
+  authorizeOwnership(Post, { resourceName: "Post", action: "delete" }),
+  deletePost
+);
+router.post("/react/:id", reactToPost);
+router.delete("/react/:id", removeReaction);
+router.get("/reactions/:id", getPostReactions);
+
+router.post("/create-comment/:postId", requireVerifiedEmail, createComment);
+router.get("/get-comments/:postId", getComments);
+router.get("/get-comment-replies/:commentId", getCommentReplies);
+router.patch(
+  "/update-comment/:commentId",
+  authorizeOwnership(Comment, {
+    param: "commentId",
+    resourceName: "Comment",
+    action: "edit",
+  }),
+  updateComment
+);
+router.delete(
+  "/delete-comment/:commentId",
+  authorizeOwnership(Comment, {
+    param: "commentId",
+    resourceName: "Comment",
+    action: "delete",
+    // the post author can moderate comments on their post
+    getOwnerIds: async (comment) => {
+      const post = await Post.findById(comment.post).select("user");
+      return [comment.user, post?.user];
+    },
+  }),
+  deleteComment
+);
 
 module.exports = router;
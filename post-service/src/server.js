@@ -1,7 +1,9 @@
+const dotenv = require("dotenv");
+dotenv.config();
+
 const cors = require("cors");
 const helmet = require("helmet");
 const Redis = require("ioredis");
-const dotenv = require("dotenv");
 const express = require("express");
 const rateLimit = require("express-rate-limit");
 const { RedisStore } = require("rate-limit-redis");
@@ -9,10 +11,18 @@ const { RedisStore } = require("rate-limit-redis");
 const logger = require("./utils/logger");
 const ConnectToDB = require("./database/db");
 const postRoutes = require("./routes/postRoutes");
+const internalRoutes = require("./routes/internalRoutes");
 const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
-const { connectToRabbitMQ } = require("./utils/rabbitmq");
-
-dotenv.config();
+const { connectToRabbitMQ, consumeEvent } = require("./utils/rabbitmq");
+const {
+  handlePostCreated,
+  handlePostDeleted,
+  handleUserFollowed,
+  handleUserUnfollowed,
+  handleUserUpdated,
+  handleMediaProcessed,
+  handleMediaDeleted,
+} = require("./eventHandlers/post-event-handlers");
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -56,6 +66,7 @@ app.use(
   },
   postRoutes
 );
+app.use("/internal/posts", internalRoutes);
 
 // error handling
 app.use(errorHandler);
@@ -64,6 +75,20 @@ app.use(notFoundHandler);
 async function startServer() {
   try {
     await connectToRabbitMQ();
+
+    // timelines are fed by post events and the social-service follow graph
+    await consumeEvent("post.created", handlePostCreated);
+    await consumeEvent("post.delete", handlePostDeleted);
+    await consumeEvent("user.followed", handleUserFollowed);
+    await consumeEvent("user.unfollowed", handleUserUnfollowed);
+    await consumeEvent("user.created", handleUserUpdated);
+    await consumeEvent("user.updated", handleUserUpdated);
+    await consumeEvent("media.processed", (event) =>
+      handleMediaProcessed(event, redisClient)
+    );
+    await consumeEvent("media.deleted", (event) =>
+      handleMediaDeleted(event, redisClient)
+    );
     app.listen(PORT, () => {
       logger.info(`Post Service is running on port ${PORT}`);
     });
@@ -0,0 +1,92 @@
+const Author = require("../models/Author");
+const logger = require("./logger");
+const { lookupUsers } = require("./identityClient");
+
+// how an author is embedded in post responses and events
+const toAuthor = (author) => ({
+  id: author.user.toString(),
+  username: author.username,
+  displayName: author.displayName || author.username,
+  avatarUrl: author.avatarUrl || null,
+  updatedAt: author.sourceUpdatedAt || null,
+});
+
+// stores a snapshot from a user event or lookup, unless a newer one is there
+async function saveAuthor(snapshot) {
+  const updatedAt = snapshot.updatedAt ? new Date(snapshot.updatedAt) : null;
+  try {
+    await Author.updateOne(
+      {
+        user: snapshot.userId,
+        ...(updatedAt && {
+          $or: [
+            { sourceUpdatedAt: { $lte: updatedAt } },
+            { sourceUpdatedAt: null },
+          ],
+        }),
+      },
+      {
+        $set: {
+          username: snapshot.username,
+          displayName: snapshot.displayName,
+          avatarUrl: snapshot.avatarUrl,
+          sourceUpdatedAt: updatedAt,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // the upsert collides with a newer snapshot of the same user
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+// Map of user id -> author. Users without a snapshot yet (posts from before
+// the user events existed) are fetched from identity-service in one batch;
+// if that fails they are simply left out
+async function getAuthors(userIds) {
+  const ids = [...new Set(userIds.map((id) => id.toString()))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const authors = await Author.find({ user: { $in: ids } }).lean();
+  const authorsById = new Map(
+    authors.map((author) => [author.user.toString(), toAuthor(author)])
+  );
+
+  const missingIds = ids.filter((id) => !authorsById.has(id));
+  if (missingIds.length > 0) {
+    try {
+      const users = await lookupUsers(missingIds);
+      await Promise.all(users.map(saveAuthor));
+      users.forEach((user) =>
+        authorsById.set(
+          user.userId,
+          toAuthor({
+            ...user,
+            user: user.userId,
+            sourceUpdatedAt: user.updatedAt,
+          })
+        )
+      );
+    } catch (error) {
+      logger.error("Error fetching missing authors", error);
+    }
+  }
+
+  return authorsById;
+}
+
+async function getAuthor(userId) {
+  const authors = await getAuthors([userId]);
+  return authors.get(userId.toString()) || null;
+}
+
+module.exports = {
+  saveAuthor,
+  getAuthors,
+  getAuthor,
+};
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// opaque cursor: base64url encoded "<createdAt ms>:<_id>" of the last item of a page
+const encodeCursor = (doc) =>
+  Buffer.from(`${new Date(doc.createdAt).getTime()}:${doc._id}`).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  const [time, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split(":");
+  const createdAt = new Date(Number(time));
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+// filter matching everything strictly older than the cursor in
+// { createdAt: -1, _id: -1 } order
+const cursorFilter = (cursor) => {
+  if (!cursor) {
+    return {};
+  }
+  return {
+    $or: [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+    ],
+  };
+};
+
+// cursor for lists ranked by a numeric field first, e.g. top comments sorted
+// { [field]: -1, createdAt: -1, _id: -1 }
+const encodeRankedCursor = (doc, field) =>
+  Buffer.from(
+    `${doc[field]}:${new Date(doc.createdAt).getTime()}:${doc._id}`
+  ).toString("base64url");
+
+const decodeRankedCursor = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  const [rank, time, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split(":");
+  const createdAt = new Date(Number(time));
+  if (
+    !Number.isFinite(Number(rank)) ||
+    Number.isNaN(createdAt.getTime()) ||
+    !mongoose.isValidObjectId(id)
+  ) {
+    return null;
+  }
+  return {
+    rank: Number(rank),
+    createdAt,
+    id: new mongoose.Types.ObjectId(id),
+  };
+};
+
+const rankedCursorFilter = (cursor, field) => {
+  if (!cursor) {
+    return {};
+  }
+  return {
+    $or: [
+      { [field]: { $lt: cursor.rank } },
+      { [field]: cursor.rank, createdAt: { $lt: cursor.createdAt } },
+      {
+        [field]: cursor.rank,
+        createdAt: cursor.createdAt,
+        _id: { $lt: cursor.id },
+      },
+    ],
+  };
+};
+
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit) || DEFAULT_LIMIT;
+  return Math.min(Math.max(parsed, 1), MAX_LIMIT);
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  encodeRankedCursor,
+  decodeRankedCursor,
+  rankedCursorFilter,
+  parseLimit,
+};
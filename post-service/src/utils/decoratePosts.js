@@ -0,0 +1,44 @@
+const Reaction = require("../models/Reaction");
+const { getAuthors } = require("./authors");
+const { fillMissingMedia } = require("./postMedia");
+
+const toPlain = (post) =>
+  typeof post.toJSON === "function" ? post.toJSON() : post;
+
+// adds the author and the viewer specific fields to posts that may come from
+// the shared cache, so they must never be stored back in it
+async function decoratePosts(posts, viewerId) {
+  if (posts.length === 0) {
+    return [];
+  }
+  const plainPosts = await fillMissingMedia(posts.map(toPlain));
+
+  const [reactions, authors] = await Promise.all([
+    Reaction.find({
+      user: viewerId,
+      post: { $in: plainPosts.map((post) => post._id) },
+    })
+      .select("post type")
+      .lean(),
+    getAuthors(plainPosts.map((post) => post.user)),
+  ]);
+  const reactionByPost = new Map(
+    reactions.map((reaction) => [reaction.post.toString(), reaction.type])
+  );
+
+  return plainPosts.map((post) => ({
+    ...post,
+    author: authors.get(post.user.toString()) || null,
+    myReaction: reactionByPost.get(post._id.toString()) || null,
+  }));
+}
+
+async function decoratePost(post, viewerId) {
+  const [decorated] = await decoratePosts([post], viewerId);
+  return decorated;
+}
+
+module.exports = {
+  decoratePosts,
+  decoratePost,
+};
@@ -0,0 +1,47 @@
+const logger = require("./logger");
+
+const MEDIA_SERVICE_URL =
+  process.env.MEDIA_SERVICE_URL || "http://localhost:3003";
+
+// media documents for the given ids from media-service's internal API,
+// unknown ids are missing from the result
+const lookupMedia = async (ids) => {
+  const response = await fetch(`${MEDIA_SERVICE_URL}/internal/media/lookup`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-internal-token": process.env.INTERNAL_API_TOKEN || "",
+    },
+    body: JSON.stringify({ ids }),
+  });
+  if (!response.ok) {
+    logger.error(`Media lookup failed with status ${response.status}`);
+    throw new Error(`Media lookup failed with status ${response.status}`);
+  }
+  const { media } = await response.json();
+  return media;
+};
+
+// an album with the media document of every item, null when it doesn't exist
+const getAlbum = async (albumId) => {
+  const response = await fetch(
+    `${MEDIA_SERVICE_URL}/internal/media/albums/${albumId}`,
+    {
+      headers: { "x-internal-token": process.env.INTERNAL_API_TOKEN || "" },
+    }
+  );
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    logger.error(`Album lookup failed with status ${response.status}`);
+    throw new Error(`Album lookup failed with status ${response.status}`);
+  }
+  const { album } = await response.json();
+  return album;
+};
+
+module.exports = {
+  lookupMedia,
+  getAlbum,
+};
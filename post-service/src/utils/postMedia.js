@@ -0,0 +1,133 @@
+const Post = require("../models/Post");
+const logger = require("./logger");
+const { lookupMedia, getAlbum } = require("./mediaClient");
+
+// what a post keeps of each attached media item
+const toMediaSnapshot = (media) => ({
+  mediaId: media._id,
+  url: media.url ?? null,
+  mimeType: media.mimeType,
+  processingStatus: media.processingStatus || "ready",
+  width: media.width ?? null,
+  height: media.height ?? null,
+  thumbnailUrl: media.renditions?.thumbnail?.url ?? null,
+  blurhash: media.blurhash ?? null,
+});
+
+// Looks the media up in media-service and keeps the request order.
+// Resolves to { media } or { missingIds } when some ids don't exist or were
+// uploaded by someone else, both are reported the same way.
+// Throws when media-service can't be reached
+async function resolveOwnedMedia(mediaIds, userId) {
+  if (mediaIds.length === 0) {
+    return { media: [] };
+  }
+
+  const found = await lookupMedia(mediaIds);
+  const ownedById = new Map(
+    found
+      .filter((media) => media.userId === userId.toString())
+      .map((media) => [media._id, media])
+  );
+
+  const missingIds = mediaIds.filter((id) => !ownedById.has(id));
+  if (missingIds.length > 0) {
+    return { missingIds };
+  }
+  return { media: mediaIds.map((id) => toMediaSnapshot(ownedById.get(id))) };
+}
+
+// Resolves to the album's media ids and snapshots in album order, with the
+// captions, or null when the album doesn't exist or belongs to someone else.
+// Throws when media-service can't be reached
+async function resolveOwnedAlbum(albumId, userId) {
+  const album = await getAlbum(albumId);
+  if (!album || album.userId !== userId.toString()) {
+    return null;
+  }
+  const items = album.items.filter((item) => item.media);
+  return {
+    mediaIds: items.map((item) => item.mediaId),
+    media: items.map((item) => ({
+      ...toMediaSnapshot(item.media),
+      caption: item.caption,
+    })),
+  };
+}
+
+// Posts created before media snapshots were stored only have mediaIds, their
+// media is looked up on read (and left out if media-service is down)
+async function fillMissingMedia(posts) {
+  const legacyPosts = posts.filter(
+    (post) => post.mediaIds?.length > 0 && !post.media?.length
+  );
+  if (legacyPosts.length === 0) {
+    return posts;
+  }
+
+  let mediaById = new Map();
+  try {
+    const ids = [...new Set(legacyPosts.flatMap((post) => post.mediaIds))];
+    const found = await lookupMedia(ids.slice(0, 50));
+    mediaById = new Map(found.map((media) => [media._id, media]));
+  } catch (error) {
+    logger.error("Error looking up media of older posts", error);
+  }
+
+  return posts.map((post) =>
+    legacyPosts.includes(post)
+      ? {
+          ...post,
+          media: post.mediaIds
+            .filter((id) => mediaById.has(id))
+            .map((id) => toMediaSnapshot(mediaById.get(id))),
+        }
+      : post
+  );
+}
+
+const isPending = (snapshot) =>
+  snapshot.processingStatus === "pending" ||
+  snapshot.processingStatus === "processing";
+
+// A media.processed that went out while the post was being saved found no
+// post to update, so media still being processed is looked up once more after
+// saving. Resolves to the post, reloaded if any of its media changed
+async function refreshPendingMedia(post) {
+  const pendingIds = post.media.filter(isPending).map((item) => item.mediaId);
+  if (pendingIds.length === 0) {
+    return post;
+  }
+
+  let found;
+  try {
+    found = await lookupMedia(pendingIds);
+  } catch (error) {
+    logger.error(`Error refreshing pending media of post ${post._id}`, error);
+    return post;
+  }
+  const processed = found.filter((media) => !isPending(media));
+  for (const media of processed) {
+    const { mediaId, ...fields } = toMediaSnapshot(media);
+    await Post.updateOne(
+      { _id: post._id },
+      {
+        $set: Object.fromEntries(
+          Object.entries(fields).map(([field, value]) => [
+            `media.$[item].${field}`,
+            value,
+          ])
+        ),
+      },
+      { arrayFilters: [{ "item.mediaId": mediaId }] }
+    );
+  }
+  return processed.length > 0 ? Post.findById(post._id) : post;
+}
+
+module.exports = {
+  resolveOwnedMedia,
+  resolveOwnedAlbum,
+  fillMissingMedia,
+  refreshPendingMedia,
+};
@@ -27,7 +27,25 @@ async function publishEvent(routingKey, message) {
   logger.info(`Published event to ${routingKey}`, message);
 }
 
+async function consumeEvent(routingKey, callback) {
+  if (!channel) {
+    await connectToRabbitMQ();
+  }
+  const q = await channel.assertQueue("", { exclusive: true });
+  await channel.bindQueue(q.queue, EXCHANGE_NAME, routingKey);
+  await channel.consume(q.queue, (msg) => {
+    if (msg !== null) {
+      const content = JSON.parse(msg.content.toString());
+      callback(content);
+      channel.ack(msg);
+    }
+  });
+
+  logger.info(`Consuming event from ${routingKey}`);
+}
+
 module.exports = {
   connectToRabbitMQ,
   publishEvent,
+  consumeEvent,
 };
@@ -0,0 +1,199 @@
+const Redis = require("ioredis");
+const Post = require("../models/Post");
+const Follow = require("../models/Follow");
+const FollowStats = require("../models/FollowStats");
+const logger = require("./logger");
+
+const redisClient = new Redis(process.env.REDIS_URL);
+
+// how many post ids we keep per cached timeline
+const TIMELINE_MAX_LENGTH = parseInt(process.env.TIMELINE_MAX_LENGTH) || 500;
+const TIMELINE_TTL_SECONDS =
+  parseInt(process.env.TIMELINE_TTL_SECONDS) || 7 * 24 * 60 * 60;
+// authors with more followers than this are not fanned out on write, their
+// posts are merged into timelines at read time instead
+const FANOUT_FOLLOWER_THRESHOLD =
+  parseInt(process.env.FANOUT_FOLLOWER_THRESHOLD) || 10000;
+const FANOUT_BATCH_SIZE = 500;
+
+// marks a timeline as built even when it has no posts. Real entries are
+// scored by createdAt in ms, so reads with a "(0" lower bound never see it
+const SENTINEL = "_";
+
+const timelineKey = (userId) => `timeline:${userId}`;
+
+// only touch timelines that are already cached, a cold timeline is rebuilt
+// from the database on its next read
+redisClient.defineCommand("timelinePush", {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call("EXISTS", KEYS[1]) == 1 then
+      redis.call("ZADD", KEYS[1], ARGV[1], ARGV[2])
+      redis.call("ZREMRANGEBYRANK", KEYS[1], 0, -(tonumber(ARGV[3]) + 1))
+      return 1
+    end
+    return 0
+  `,
+});
+
+async function isHighFollowerAccount(userId) {
+  const stats = await FollowStats.findOne({ user: userId });
+  return (stats?.followers || 0) > FANOUT_FOLLOWER_THRESHOLD;
+}
+
+// streams the followers of an author in batches
+async function forEachFollowerBatch(authorId, callback) {
+  let batch = [];
+  const cursor = Follow.find({ following: authorId })
+    .select("follower")
+    .lean()
+    .cursor();
+
+  for await (const edge of cursor) {
+    batch.push(edge.follower.toString());
+    if (batch.length === FANOUT_BATCH_SIZE) {
+      await callback(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await callback(batch);
+  }
+}
+
+async function pushToTimelines(userIds, post) {
+  const pipeline = redisClient.pipeline();
+  const score = new Date(post.createdAt).getTime();
+  for (const userId of userIds) {
+    pipeline.timelinePush(
+      timelineKey(userId),
+      score,
+      post.postId,
+      TIMELINE_MAX_LENGTH
+    );
+  }
+  await pipeline.exec();
+}
+
+async function removeFromTimelines(userIds, postId) {
+  const pipeline = redisClient.pipeline();
+  for (const userId of userIds) {
+    pipeline.zrem(timelineKey(userId), postId);
+  }
+  await pipeline.exec();
+}
+
+// fan-out-on-write: the author always sees their own post, followers only
+// when the author is below the high-follower threshold
+async function fanOutPost(post) {
+  await pushToTimelines([post.userId], post);
+
+  if (await isHighFollowerAccount(post.userId)) {
+    logger.info(
+      `Skipping fan-out for high-follower account ${post.userId}, post ${post.postId}`
+    );
+    return;
+  }
+
+  let delivered = 0;
+  await forEachFollowerBatch(post.userId, async (followerIds) => {
+    await pushToTimelines(followerIds, post);
+    delivered += followerIds.length;
+  });
+  logger.info(`Fanned out post ${post.postId} to ${delivered} followers`);
+}
+
+async function removePostFromTimelines(post) {
+  await removeFromTimelines([post.userId], post.postId);
+  await forEachFollowerBatch(post.userId, (followerIds) =>
+    removeFromTimelines(followerIds, post.postId)
+  );
+}
+
+// adds the recent posts of a newly followed author to a cached timeline
+async function backfillTimeline(userId, authorId) {
+  if (await isHighFollowerAccount(authorId)) {
+    return;
+  }
+  const posts = await Post.find({ user: authorId })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(TIMELINE_MAX_LENGTH)
+    .select("_id createdAt")
+    .lean();
+
+  const pipeline = redisClient.pipeline();
+  for (const post of posts) {
+    pipeline.timelinePush(
+      timelineKey(userId),
+      new Date(post.createdAt).getTime(),
+      post._id.toString(),
+      TIMELINE_MAX_LENGTH
+    );
+  }
+  await pipeline.exec();
+}
+
+async function rebuildTimeline(userId, authorIds) {
+  const posts = await Post.find({ user: { $in: authorIds } })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(TIMELINE_MAX_LENGTH)
+    .select("_id createdAt")
+    .lean();
+
+  const key = timelineKey(userId);
+  const pipeline = redisClient.pipeline().del(key).zadd(key, 0, SENTINEL);
+  for (const post of posts) {
+    pipeline.zadd(key, new Date(post.createdAt).getTime(), post._id.toString());
+  }
+  await pipeline.expire(key, TIMELINE_TTL_SECONDS).exec();
+  logger.info(`Rebuilt timeline for ${userId} with ${posts.length} posts`);
+}
+
+// post ids at or before the cursor, newest first. null when not cached
+async function readTimeline(userId, cursor, count) {
+  const key = timelineKey(userId);
+  const [[, exists]] = await redisClient
+    .pipeline()
+    .exists(key)
+    .expire(key, TIMELINE_TTL_SECONDS)
+    .exec();
+  if (!exists) {
+    return null;
+  }
+  const max = cursor ? cursor.createdAt.getTime() : "+inf";
+  return redisClient.zrevrangebyscore(key, max, "(0", "LIMIT", 0, count);
+}
+
+// splits the accounts a user follows into regular and high-follower authors
+async function getFollowedAuthors(userId) {
+  const edges = await Follow.find({ follower: userId })
+    .select("following")
+    .lean();
+  const followingIds = edges.map((edge) => edge.following);
+
+  const highFollowerStats = await FollowStats.find({
+    user: { $in: followingIds },
+    followers: { $gt: FANOUT_FOLLOWER_THRESHOLD },
+  })
+    .select("user")
+    .lean();
+  const highFollowerIds = new Set(
+    highFollowerStats.map((stats) => stats.user.toString())
+  );
+
+  return {
+    regular: followingIds.filter((id) => !highFollowerIds.has(id.toString())),
+    highFollower: followingIds.filter((id) =>
+      highFollowerIds.has(id.toString())
+    ),
+  };
+}
+
+module.exports = {
+  fanOutPost,
+  removePostFromTimelines,
+  backfillTimeline,
+  rebuildTimeline,
+  readTimeline,
+  getFollowedAuthors,
+};
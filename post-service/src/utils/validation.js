@@ -1,13 +1,94 @@
 const Joi = require("joi");
+const { REACTION_TYPES } = require("../models/Reaction");
+
+const MAX_MEDIA_PER_POST = 10;
+
+const mediaIds = Joi.array()
+  .items(Joi.string().hex().length(24))
+  .max(MAX_MEDIA_PER_POST)
+  .unique();
 
 const validationCreatePost = (data) => {
   const schema = Joi.object({
     content: Joi.string().min(3).max(50).required(),
-    mediaIds: Joi.array().items(Joi.string()).optional(),
+    mediaIds: mediaIds.optional(),
+    // attaches all media of the album instead of single media
+    albumId: Joi.string().hex().length(24),
+  })
+    .oxor("mediaIds", "albumId")
+    .messages({ "object.oxor": "Send either mediaIds or albumId, not both" });
+  return schema.validate(data);
+};
+
+const validationUpdatePost = (data) => {
+  const schema = Joi.object({
+    content: Joi.string().min(3).max(50),
+    mediaIds,
+  }).or("content", "mediaIds");
+  return schema.validate(data);
+};
+
+const validationReaction = (data) => {
+  const schema = Joi.object({
+    type: Joi.string()
+      .valid(...REACTION_TYPES)
+      .required(),
+  });
+  return schema.validate(data);
+};
+
+const validationReactionList = (data) => {
+  const schema = Joi.object({
+    type: Joi.string().valid(...REACTION_TYPES),
+    cursor: Joi.string(),
+    limit: Joi.number().integer().min(1).max(50),
+  });
+  return schema.validate(data);
+};
+
+const validationCreateComment = (data) => {
+  const schema = Joi.object({
+    content: Joi.string().trim().min(1).max(1000).required(),
+    parentId: Joi.string().hex().length(24).allow(null),
+  });
+  return schema.validate(data);
+};
+
+const validationUpdateComment = (data) => {
+  const schema = Joi.object({
+    content: Joi.string().trim().min(1).max(1000).required(),
+  });
+  return schema.validate(data);
+};
+
+const validationCommentList = (data) => {
+  const schema = Joi.object({
+    sort: Joi.string().valid("newest", "top").default("newest"),
+    cursor: Joi.string(),
+    limit: Joi.number().integer().min(1).max(50),
+  });
+  return schema.validate(data);
+};
+
+const validationMediaUsage = (data) => {
+  const schema = Joi.object({
+    mediaIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .max(100)
+      .required(),
   });
   return schema.validate(data);
 };
 
 module.exports = {
+  MAX_MEDIA_PER_POST,
   validationCreatePost,
+  validationUpdatePost,
+  validationReaction,
+  validationReactionList,
+  validationCreateComment,
+  validationUpdateComment,
+  validationCommentList,
+  validationMediaUsage,
 };
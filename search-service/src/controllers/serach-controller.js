@@ -1,4 +1,5 @@
 const Search = require("../models/Search");
+const SearchComment = require("../models/SearchComment");
 const logger = require("../utils/logger");
 const Redis = require("ioredis");
 
@@ -49,6 +50,52 @@ const searchPostController = async (req, res) => {
   }
 };
 
+const searchCommentController = async (req, res) => {
+  logger.info("Searching for comments");
+
+  try {
+    const { query } = req.query;
+
+    const cachedKey = `search:comments:${query}`;
+    const cachedComments = await redisClient.get(cachedKey);
+
+    if (cachedComments) {
+      return res.status(200).json({
+        success: true,
+        message: "Comments fetched successfully",
+        comments: JSON.parse(cachedComments),
+      });
+    }
+
+    const result = await SearchComment.find(
+      {
+        $text: {
+          $search: query,
+          $caseSensitive: false,
+          $diacriticSensitive: false,
+        },
+      },
+      {
+        score: { $meta: "textScore" },
+      }
+    )
+      .sort({ score: { $meta: "textScore" } })
+      .limit(10);
+
+    await redisClient.setex(cachedKey, 300, JSON.stringify(result));
+
+    res.status(200).json({
+      success: true,
+      message: "Comments fetched successfully",
+      comments: result,
+    });
+  } catch (e) {
+    logger.error("Error while searching comments", e);
+    res.status(500).json({ message: "Error while searching comments" });
+  }
+};
+
 module.exports = {
   searchPostController,
+  searchCommentController,
 };
@@ -1,6 +1,10 @@
+const Redis = require("ioredis");
 const Search = require("../models/Search");
+const SearchComment = require("../models/SearchComment");
 const logger = require("../utils/logger");
 
+const redisClient = new Redis(process.env.REDIS_URL);
+
 async function invalidatePostCache(postId) {
   const cachedKey = `post:${postId}`;
   await redisClient.del(cachedKey);
@@ -9,6 +13,14 @@ async function invalidatePostCache(postId) {
     await redisClient.del(keys);
   }
 }
+
+async function invalidateSearchCache() {
+  const keys = await redisClient.keys("search:*");
+  if (keys.length > 0) {
+    await redisClient.del(keys);
+  }
+}
+
 async function handlePostCreated(event) {
   logger.info("Search Service: Handling post created event initiated...");
 
@@ -18,6 +30,7 @@ async function handlePostCreated(event) {
       userId: event.userId,
       content: event.content,
       mediaIds: event.mediaIds,
+      author: event.author,
     });
 
     await newSearchPost.save();
@@ -30,9 +43,35 @@ async function handlePostCreated(event) {
   }
 }
 
+async function handlePostUpdated(event) {
+  logger.info("Search Service: Handling post updated event initiated...");
+
+  try {
+    // no upsert, an update arriving after the delete must not bring the post back
+    await Search.updateOne(
+      { postId: event.postId },
+      {
+        $set: {
+          userId: event.userId,
+          content: event.content,
+          ...(event.author && { author: event.author }),
+        },
+      }
+    );
+    await invalidatePostCache(event.postId);
+    await invalidateSearchCache();
+
+    logger.info(`Search post re-indexed : ${event.postId} successfully`);
+  } catch (error) {
+    logger.error("Search Service: Error handling post updated event", error);
+    throw error;
+  }
+}
+
 async function handlePostDeleted(event) {
   try {
     await Search.findOneAndDelete({ postId: event.postId });
+    await SearchComment.deleteMany({ postId: event.postId });
     logger.info(`Search post deleted : ${event.postId} successfully`);
   } catch (error) {
     logger.error("Search Service: Error handling post deleted event", error);
@@ -40,7 +79,96 @@ async function handlePostDeleted(event) {
   }
 }
 
+// user.updated from identity-service, refreshes the author of every post
+// unless a newer snapshot came with a post event already
+async function handleUserUpdated(event) {
+  try {
+    const updatedAt = new Date(event.updatedAt);
+    const { modifiedCount } = await Search.updateMany(
+      {
+        userId: event.userId,
+        $or: [
+          { "author.updatedAt": { $lte: updatedAt } },
+          { "author.updatedAt": null },
+        ],
+      },
+      {
+        $set: {
+          author: {
+            id: event.userId,
+            username: event.username,
+            displayName: event.displayName,
+            avatarUrl: event.avatarUrl,
+            updatedAt,
+          },
+        },
+      }
+    );
+    if (modifiedCount > 0) {
+      await invalidateSearchCache();
+    }
+    logger.info(`Author ${event.userId} updated on ${modifiedCount} posts`);
+  } catch (error) {
+    logger.error("Search Service: Error handling user updated event", error);
+    throw error;
+  }
+}
+
+async function handleCommentCreated(event) {
+  try {
+    await SearchComment.create({
+      commentId: event.commentId,
+      postId: event.postId,
+      userId: event.userId,
+      content: event.content,
+      createdAt: event.createdAt,
+    });
+    await invalidateSearchCache();
+    logger.info(`Search comment created : ${event.commentId} successfully`);
+  } catch (error) {
+    logger.error("Search Service: Error handling comment created event", error);
+    throw error;
+  }
+}
+
+async function handleCommentUpdated(event) {
+  try {
+    await SearchComment.updateOne(
+      { commentId: event.commentId },
+      {
+        $set: {
+          postId: event.postId,
+          userId: event.userId,
+          content: event.content,
+        },
+      }
+    );
+    await invalidateSearchCache();
+    logger.info(`Search comment re-indexed : ${event.commentId} successfully`);
+  } catch (error) {
+    logger.error("Search Service: Error handling comment updated event", error);
+    throw error;
+  }
+}
+
+async function handleCommentDeleted(event) {
+  try {
+    const commentIds = event.deletedIds || [event.commentId];
+    await SearchComment.deleteMany({ commentId: { $in: commentIds } });
+    await invalidateSearchCache();
+    logger.info(`Search comments deleted : ${commentIds.length} successfully`);
+  } catch (error) {
+    logger.error("Search Service: Error handling comment deleted event", error);
+    throw error;
+  }
+}
+
 module.exports = {
   handlePostCreated,
+  handlePostUpdated,
   handlePostDeleted,
+  handleUserUpdated,
+  handleCommentCreated,
+  handleCommentUpdated,
+  handleCommentDeleted,
 };
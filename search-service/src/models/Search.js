@@ -1,5 +1,18 @@
 const mongoose = require("mongoose");
 
+// copy of the author data, sent along with post events and refreshed by
+// user.updated events
+const AuthorSchema = new mongoose.Schema(
+  {
+    id: String,
+    username: String,
+    displayName: String,
+    avatarUrl: String,
+    updatedAt: Date,
+  },
+  { _id: false }
+);
+
 const SearchPostSchema = new mongoose.Schema(
   {
     postId: {
@@ -16,6 +29,10 @@ const SearchPostSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    author: {
+      type: AuthorSchema,
+      default: null,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+const SearchCommentSchema = new mongoose.Schema(
+  {
+    commentId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    postId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+SearchCommentSchema.index({ content: "text" });
+SearchCommentSchema.index({ createdAt: -1 });
+
+const SearchComment = mongoose.model("SearchComment", SearchCommentSchema);
+
+module.exports = SearchComment;
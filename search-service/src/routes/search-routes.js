@@ -1,5 +1,8 @@
 const express = require("express");
-const { searchPostController } = require("../controllers/serach-controller");
+const {
+  searchPostController,
+  searchCommentController,
+} = require("../controllers/serach-controller");
 const { authenticatedRequest } = require("../middleware/authMiddleware");
 
 const router = express.Router();
@@ -7,5 +10,6 @@ const router = express.Router();
 router.use(authenticatedRequest);
 
 router.get("/posts", searchPostController);
+router.get("/comments", searchCommentController);
 
 module.exports = router;
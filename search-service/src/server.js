@@ -13,7 +13,12 @@ const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
 const { connectToRabbitMQ, consumeEvent } = require("./utils/rabbitmq");
 const {
   handlePostCreated,
+  handlePostUpdated,
   handlePostDeleted,
+  handleUserUpdated,
+  handleCommentCreated,
+  handleCommentUpdated,
+  handleCommentDeleted,
 } = require("./eventHandlers/search-event-handlers");
 const ConnectToDB = require("./database/db");
 
@@ -69,7 +74,12 @@ async function startServer() {
     await connectToRabbitMQ();
     // consume then events  / subscribe to the events
     await consumeEvent("post.created", handlePostCreated);
+    await consumeEvent("post.updated", handlePostUpdated);
     await consumeEvent("post.delete", handlePostDeleted);
+    await consumeEvent("user.updated", handleUserUpdated);
+    await consumeEvent("comment.created", handleCommentCreated);
+    await consumeEvent("comment.updated", handleCommentUpdated);
+    await consumeEvent("comment.deleted", handleCommentDeleted);
     app.listen(PORT, () => {
       logger.info(`Search Service is running on port ${PORT}`);
     });
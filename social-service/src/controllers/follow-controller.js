@@ -0,0 +1,308 @@
+const Follow = require("../models/Follow");
+const FollowStats = require("../models/FollowStats");
+const logger = require("../utils/logger");
+const { publishEvent } = require("../utils/rabbitmq");
+const { lookupUsers } = require("../utils/identityClient");
+const {
+  validationUserIdParam,
+  validationListQuery,
+} = require("../utils/validation");
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+} = require("../utils/cursor");
+
+async function incrementStats(userId, field, amount) {
+  return FollowStats.findOneAndUpdate(
+    { user: userId },
+    { $inc: { [field]: amount } },
+    { upsert: true, new: true }
+  );
+}
+
+// cursor paginated list of follow edges, mapped to the user on the other side
+async function listEdges(req, res, { filter, userField, label }) {
+  const { error } = validationListQuery(req.query);
+  if (error) {
+    logger.warn("Validation error : ", error.details[0].message);
+    return res
+      .status(400)
+      .json({ success: false, message: error.details[0].message });
+  }
+
+  const limit = parseLimit(req.query.limit);
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !cursor) {
+    return res.status(400).json({ success: false, message: "Invalid cursor" });
+  }
+
+  const edges = await Follow.find({ ...filter, ...cursorFilter(cursor) })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = edges.length > limit;
+  const page = edges.slice(0, limit);
+
+  return res.status(200).json({
+    success: true,
+    message: `${label} fetched successfully`,
+    users: page.map((edge) => ({
+      userId: edge[userField],
+      followedAt: edge.createdAt,
+    })),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    hasMore,
+  });
+}
+
+const followUser = async (req, res) => {
+  logger.info("Follow user initiated...");
+  try {
+    const { error } = validationUserIdParam(req.params);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const followerId = req.user;
+    const followingId = req.params.userId;
+
+    if (followerId === followingId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "You cannot follow yourself" });
+    }
+
+    let users;
+    try {
+      users = await lookupUsers([followingId]);
+    } catch (err) {
+      logger.error("Error looking up user to follow : ", err);
+      return res.status(502).json({
+        success: false,
+        message: "Unable to verify the user, please try again later",
+      });
+    }
+    if (users.length === 0) {
+      logger.warn(`User ${followingId} to follow not found`);
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    let follow;
+    try {
+      follow = await Follow.create({
+        follower: followerId,
+        following: followingId,
+      });
+    } catch (error) {
+      // unique index on the pair, following twice is a no-op
+      if (error.code === 11000) {
+        return res.status(200).json({
+          success: true,
+          message: "You are already following this user",
+        });
+      }
+      throw error;
+    }
+
+    const [, followingStats] = await Promise.all([
+      incrementStats(followerId, "following", 1),
+      incrementStats(followingId, "followers", 1),
+    ]);
+
+    await publishEvent(
+      "user.followed",
+      JSON.stringify({
+        followerId,
+        followingId,
+        followerCount: followingStats.followers,
+        createdAt: follow.createdAt,
+      })
+    );
+
+    logger.info(`User ${followerId} followed ${followingId}`);
+    return res.status(201).json({
+      success: true,
+      message: "User followed successfully",
+      follow,
+    });
+  } catch (error) {
+    logger.error("Error following user", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error following user" });
+  }
+};
+
+const unfollowUser = async (req, res) => {
+  logger.info("Unfollow user initiated...");
+  try {
+    const { error } = validationUserIdParam(req.params);
+    if (error) {
+      logger.warn("Validation error : ", error.details[0].message);
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const followerId = req.user;
+    const followingId = req.params.userId;
+
+    const follow = await Follow.findOneAndDelete({
+      follower: followerId,
+      following: followingId,
+    });
+
+    if (!follow) {
+      return res.status(404).json({
+        success: false,
+        message: "You are not following this user",
+      });
+    }
+
+    const [, followingStats] = await Promise.all([
+      incrementStats(followerId, "following", -1),
+      incrementStats(followingId, "followers", -1),
+    ]);
+
+    await publishEvent(
+      "user.unfollowed",
+      JSON.stringify({
+        followerId,
+        followingId,
+        followerCount: followingStats.followers,
+      })
+    );
+
+    logger.info(`User ${followerId} unfollowed ${followingId}`);
+    return res.status(200).json({
+      success: true,
+      message: "User unfollowed successfully",
+    });
+  } catch (error) {
+    logger.error("Error unfollowing user", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error unfollowing user" });
+  }
+};
+
+const getFollowers = async (req, res) => {
+  try {
+    const { error } = validationUserIdParam(req.params);
+    if (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    return await listEdges(req, res, {
+      filter: { following: req.params.userId },
+      userField: "follower",
+      label: "Followers",
+    });
+  } catch (error) {
+    logger.error("Error fetching followers", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching followers" });
+  }
+};
+
+const getFollowing = async (req, res) => {
+  try {
+    const { error } = validationUserIdParam(req.params);
+    if (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    return await listEdges(req, res, {
+      filter: { follower: req.params.userId },
+      userField: "following",
+      label: "Following",
+    });
+  } catch (error) {
+    logger.error("Error fetching following", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching following" });
+  }
+};
+
+const getFollowCounts = async (req, res) => {
+  try {
+    const { error } = validationUserIdParam(req.params);
+    if (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const stats = await FollowStats.findOne({ user: req.params.userId });
+
+    return res.status(200).json({
+      success: true,
+      message: "Follow counts fetched successfully",
+      counts: {
+        userId: req.params.userId,
+        followers: stats?.followers || 0,
+        following: stats?.following || 0,
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching follow counts", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error fetching follow counts" });
+  }
+};
+
+const checkMutual = async (req, res) => {
+  try {
+    const { error } = validationUserIdParam(req.params);
+    if (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: error.details[0].message });
+    }
+
+    const otherUserId = req.params.userId;
+    const [following, followedBy] = await Promise.all([
+      Follow.exists({ follower: req.user, following: otherUserId }),
+      Follow.exists({ follower: otherUserId, following: req.user }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Relationship fetched successfully",
+      relationship: {
+        userId: otherUserId,
+        following: Boolean(following),
+        followedBy: Boolean(followedBy),
+        mutual: Boolean(following && followedBy),
+      },
+    });
+  } catch (error) {
+    logger.error("Error checking mutual follow", error);
+    return res
+      .status(500)
+      .json({ success: false, message: "Error checking mutual follow" });
+  }
+};
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFollowCounts,
+  checkMutual,
+};
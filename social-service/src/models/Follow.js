@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const followSchema = new mongoose.Schema(
+  {
+    // the user doing the following
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // the user being followed
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// one edge per pair, also serves "who does X follow" lookups
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+followSchema.index({ following: 1, createdAt: -1, _id: -1 });
+
+const Follow = mongoose.model("Follow", followSchema);
+
+module.exports = Follow;
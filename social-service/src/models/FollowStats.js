@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// denormalized counters so follow counts don't need a collection scan
+const followStatsSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    followers: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    following: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const FollowStats = mongoose.model("FollowStats", followStatsSchema);
+
+module.exports = FollowStats;
@@ -0,0 +1,22 @@
+const express = require("express");
+const {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFollowCounts,
+  checkMutual,
+} = require("../controllers/follow-controller");
+const { authenticatedRequest } = require("../middleware/authMiddleware");
+
+const router = express.Router();
+router.use(authenticatedRequest);
+
+router.post("/follow/:userId", followUser);
+router.delete("/unfollow/:userId", unfollowUser);
+router.get("/followers/:userId", getFollowers);
+router.get("/following/:userId", getFollowing);
+router.get("/follow-counts/:userId", getFollowCounts);
+router.get("/is-mutual/:userId", checkMutual);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const dotenv = require("dotenv");
+dotenv.config();
+
+const cors = require("cors");
+const helmet = require("helmet");
+const Redis = require("ioredis");
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const { RedisStore } = require("rate-limit-redis");
+
+const logger = require("./utils/logger");
+const ConnectToDB = require("./database/db");
+const followRoutes = require("./routes/follow-routes");
+const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
+const { connectToRabbitMQ } = require("./utils/rabbitmq");
+
+const app = express();
+const PORT = process.env.PORT || 3005;
+
+// connect to mongo db
+ConnectToDB();
+const redisClient = new Redis(process.env.REDIS_URL);
+
+// middleware
+app.use(cors());
+app.use(helmet());
+app.use(express.json());
+
+app.use((req, res, next) => {
+  logger.info(`Received ${req.method} request to ${req.url}`);
+  next();
+});
+
+// IP based rate limiting for sensitive endpoints
+const sensitiveEndpoints = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 50,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.error("Rate limit exceeded for IP: ", req.ip);
+    return res.status(429).json({
+      message: "Too many requests, please try again later",
+    });
+  },
+  store: new RedisStore({
+    sendCommand: (...args) => redisClient.call(...args),
+    prefix: "rl:sensitive:",
+  }),
+});
+
+// follow / unfollow are the write endpoints worth protecting
+app.use("/api/social/follow", sensitiveEndpoints);
+app.use("/api/social/unfollow", sensitiveEndpoints);
+
+// routes
+app.use("/api/social", followRoutes);
+
+// error handling
+app.use(errorHandler);
+app.use(notFoundHandler);
+
+async function startServer() {
+  try {
+    await connectToRabbitMQ();
+    app.listen(PORT, () => {
+      logger.info(`Social Service is running on port ${PORT}`);
+    });
+  } catch (error) {
+    logger.error("Failed to connect to RabbitMQ", error);
+    process.exit(1);
+  }
+}
+
+startServer();
+
+// Unhandled promise rejection
+process.on("unhandledRejection", (reason, promise) => {
+  logger.error("Unhandled Rejection at:", promise, "reason:", reason);
+});
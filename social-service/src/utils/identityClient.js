@@ -0,0 +1,30 @@
+const logger = require("./logger");
+
+const IDENTITY_SERVICE_URL =
+  process.env.IDENTITY_SERVICE_URL || "http://localhost:3001";
+
+// users with the given ids from identity-service's internal API, unknown ids
+// are missing from the result
+const lookupUsers = async (ids) => {
+  const response = await fetch(
+    `${IDENTITY_SERVICE_URL}/internal/users/lookup`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-internal-token": process.env.INTERNAL_API_TOKEN || "",
+      },
+      body: JSON.stringify({ ids }),
+    }
+  );
+  if (!response.ok) {
+    logger.error(`User lookup failed with status ${response.status}`);
+    throw new Error(`User lookup failed with status ${response.status}`);
+  }
+  const { users } = await response.json();
+  return users;
+};
+
+module.exports = {
+  lookupUsers,
+};
@@ -0,0 +1,33 @@
+const amqp = require("amqplib");
+const logger = require("./logger");
+
+let connection = null;
+let channel = null;
+
+const EXCHANGE_NAME = "facebook_events";
+
+async function connectToRabbitMQ() {
+  try {
+    connection = await amqp.connect(process.env.RABBITMQ_URL);
+    channel = await connection.createChannel();
+    await channel.assertExchange(EXCHANGE_NAME, "topic", { durable: true });
+    logger.info("Connected to RabbitMQ");
+    return channel;
+  } catch (error) {
+    logger.error("Failed to connect to RabbitMQ", error);
+    throw error;
+  }
+}
+
+async function publishEvent(routingKey, message) {
+  if (!channel) {
+    await connectToRabbitMQ();
+  }
+  await channel.publish(EXCHANGE_NAME, routingKey, Buffer.from(message));
+  logger.info(`Published event to ${routingKey}`, message);
+}
+
+module.exports = {
+  connectToRabbitMQ,
+  publishEvent,
+};
@@ -0,0 +1,26 @@
+const Joi = require("joi");
+
+const objectId = Joi.string().hex().length(24);
+
+const validationUserIdParam = (data) => {
+  const schema = Joi.object({
+    userId: objectId.required().messages({
+      "string.hex": "Invalid user id",
+      "string.length": "Invalid user id",
+    }),
+  });
+  return schema.validate(data);
+};
+
+const validationListQuery = (data) => {
+  const schema = Joi.object({
+    cursor: Joi.string().optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+  });
+  return schema.validate(data);
+};
+
+module.exports = {
+  validationUserIdParam,
+  validationListQuery,
+};